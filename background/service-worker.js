@@ -0,0 +1,376 @@
+// YouTube Language Filter - Background Service Worker
+// Keeps the per-tab toolbar badge in sync with what the content scripts report:
+// - number of hidden/collapsed comments on the page
+// - "OFF" when filtering is disabled
+// - "!" when the content script is no longer connected (reload the tab)
+// and, when the user opts in, mirrors settings to chrome.storage.sync
+
+// ===========================================
+// CONSTANTS
+// ===========================================
+const BADGE_COLOR = '#cc0000';
+const BADGE_OFF_COLOR = '#808080';
+const BADGE_DISCONNECTED_COLOR = '#f29900';
+const BADGE_MAX_COUNT = 999;
+
+const YOUTUBE_URL_PATTERN = 'https://www.youtube.com/*';
+
+// Settings sync. The opt-in flag and the sync bookkeeping are per device,
+// so they live in chrome.storage.local.
+const SYNC_FLAG_KEY = 'syncEnabled';
+const SYNC_STATE_KEY = 'syncState';
+const SYNC_META_KEY = 'settings_meta';
+const SYNC_CHUNK_PREFIX = 'settings_';
+const SYNC_CHUNK_CHARS = 6000;
+const SYNC_PUSH_DELAY_MS = 2000;
+
+// ===========================================
+// TAB STATE
+// ===========================================
+/**
+ * Filtered counts are tracked per tab and per frame (the live chat iframe
+ * runs its own content script) and summed for the badge.
+ *
+ * Stored in chrome.storage.session because the service worker can be
+ * stopped at any time and would otherwise lose the other frames' counts.
+ *
+ * Shape: { [tabId]: { enabled: boolean, frames: { [frameId]: number } } }
+ * The popup reads it to find the frames to ask for page statistics.
+ */
+const STATE_KEY = 'tabCounts';
+
+// Serializes read-modify-write cycles so updates from several frames don't race
+let stateQueue = Promise.resolve();
+
+function updateState(mutate) {
+  stateQueue = stateQueue.then(async () => {
+    const result = await chrome.storage.session.get(STATE_KEY);
+    const state = result[STATE_KEY] || {};
+    const tabId = mutate(state);
+    await chrome.storage.session.set({ [STATE_KEY]: state });
+    return tabId === undefined ? null : state[tabId] || null;
+  }).catch((error) => {
+    console.error('[YLF Background] Failed to update tab state:', error);
+    return null;
+  });
+  return stateQueue;
+}
+
+// ===========================================
+// BADGE RENDERING
+// ===========================================
+async function renderBadge(tabId, tabState) {
+  try {
+    if (!tabState) {
+      await chrome.action.setBadgeText({ tabId, text: '' });
+      await chrome.action.setTitle({ tabId, title: 'YouTube Language Filter' });
+      return;
+    }
+
+    if (!tabState.enabled) {
+      await chrome.action.setBadgeText({ tabId, text: 'OFF' });
+      await chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_OFF_COLOR });
+      await chrome.action.setTitle({ tabId, title: 'YouTube Language Filter - filtering disabled' });
+      return;
+    }
+
+    const count = Object.values(tabState.frames).reduce((sum, n) => sum + n, 0);
+    const text = count === 0 ? '' : (count > BADGE_MAX_COUNT ? `${BADGE_MAX_COUNT}+` : String(count));
+    await chrome.action.setBadgeText({ tabId, text });
+    await chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLOR });
+    await chrome.action.setTitle({
+      tabId,
+      title: `YouTube Language Filter - ${count} comment${count === 1 ? '' : 's'} filtered`
+    });
+  } catch (error) {
+    // Tab was closed while updating
+  }
+}
+
+async function renderDisconnectedBadge(tabId) {
+  try {
+    await chrome.action.setBadgeText({ tabId, text: '!' });
+    await chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_DISCONNECTED_COLOR });
+    await chrome.action.setTitle({
+      tabId,
+      title: 'YouTube Language Filter - not connected, reload the tab'
+    });
+  } catch (error) {
+    // Tab was closed while updating
+  }
+}
+
+// ===========================================
+// MESSAGE HANDLING
+// ===========================================
+async function handleCountsUpdated(message, sender) {
+  const tabId = sender.tab.id;
+  const frameId = sender.frameId || 0;
+
+  const tabState = await updateState((state) => {
+    const entry = state[tabId] || { enabled: true, frames: {} };
+    entry.enabled = message.enabled;
+    entry.frames[frameId] = message.filtered;
+    state[tabId] = entry;
+    return tabId;
+  });
+
+  await renderBadge(tabId, tabState);
+}
+
+async function handleFrameRemoved(sender) {
+  const tabId = sender.tab.id;
+  const frameId = sender.frameId || 0;
+
+  const tabState = await updateState((state) => {
+    if (!state[tabId]) return undefined;
+    delete state[tabId].frames[frameId];
+    return tabId;
+  });
+
+  if (tabState) {
+    await renderBadge(tabId, tabState);
+  }
+}
+
+chrome.runtime.onMessage.addListener((message, sender) => {
+  // Sent by content scripts whenever their page counters change
+  if (message.type === 'COUNTS_UPDATED' && sender.tab) {
+    handleCountsUpdated(message, sender);
+    return false;
+  }
+
+  // Sent by content scripts on pagehide (e.g. the live chat iframe was removed)
+  if (message.type === 'FRAME_REMOVED' && sender.tab) {
+    handleFrameRemoved(sender);
+    return false;
+  }
+
+  // Sent by the popup when it cannot reach the tab's content script
+  if (message.type === 'CONNECTION_LOST' && typeof message.tabId === 'number') {
+    renderDisconnectedBadge(message.tabId);
+    return false;
+  }
+
+  return false;
+});
+
+// ===========================================
+// SETTINGS SYNC
+// ===========================================
+/**
+ * chrome.storage.local stays the source of truth that content scripts and
+ * the popup read. When sync is on, this worker mirrors local settings to
+ * chrome.storage.sync and pulls changes made on other devices back in.
+ *
+ * Settings carry an updatedAt stamp and syncState.syncedAt remembers the
+ * stamp both sides last agreed on, so a side whose stamp is newer has
+ * changed since then. If only one side changed it wins as a whole (removed
+ * languages or rules stay removed); if both did, they are merged.
+ *
+ * chrome.storage.sync limits each item to QUOTA_BYTES_PER_ITEM, so the
+ * serialized settings are split into settings_0..settings_N chunks, with
+ * settings_meta recording the chunk count.
+ */
+let syncQueue = Promise.resolve();
+let syncPushTimeout = null;
+
+function itemBytes(key, value) {
+  return key.length + new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+function splitIntoChunks(json) {
+  const chunks = [];
+  let rest = json;
+  while (rest.length > 0) {
+    const key = SYNC_CHUNK_PREFIX + chunks.length;
+    let size = Math.min(rest.length, SYNC_CHUNK_CHARS);
+    // Non-ASCII text and JSON escaping take more bytes than characters
+    while (itemBytes(key, rest.slice(0, size)) > chrome.storage.sync.QUOTA_BYTES_PER_ITEM) {
+      size = Math.floor(size / 2);
+    }
+    chunks.push(rest.slice(0, size));
+    rest = rest.slice(size);
+  }
+  return chunks;
+}
+
+async function readSyncedSettings() {
+  const { [SYNC_META_KEY]: meta } = await chrome.storage.sync.get(SYNC_META_KEY);
+  if (!meta) return null;
+
+  const keys = Array.from({ length: meta.chunks }, (_, i) => SYNC_CHUNK_PREFIX + i);
+  const items = await chrome.storage.sync.get(keys);
+  if (keys.some(key => typeof items[key] !== 'string')) {
+    throw new Error('Synced settings are incomplete');
+  }
+  return JSON.parse(keys.map(key => items[key]).join(''));
+}
+
+async function writeSyncedSettings(settings) {
+  const chunks = splitIntoChunks(JSON.stringify(settings));
+  const items = {};
+  chunks.forEach((chunk, i) => {
+    items[SYNC_CHUNK_PREFIX + i] = chunk;
+  });
+  items[SYNC_META_KEY] = { chunks: chunks.length, updatedAt: settings.updatedAt || 0 };
+
+  const total = Object.entries(items).reduce((sum, [key, value]) => sum + itemBytes(key, value), 0);
+  if (total > chrome.storage.sync.QUOTA_BYTES) {
+    throw new Error('Settings are too large to sync');
+  }
+
+  const { [SYNC_META_KEY]: previous } = await chrome.storage.sync.get(SYNC_META_KEY);
+  await chrome.storage.sync.set(items);
+
+  // Drop chunks left over from a larger previous version
+  if (previous && previous.chunks > chunks.length) {
+    const stale = [];
+    for (let i = chunks.length; i < previous.chunks; i++) {
+      stale.push(SYNC_CHUNK_PREFIX + i);
+    }
+    await chrome.storage.sync.remove(stale);
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Conflict merge: the newer side wins for scalars, lists are unioned
+ * (newer entries first) and objects are merged key by key.
+ */
+function mergeValues(newer, older) {
+  if (newer === undefined) return older;
+  if (older === undefined) return newer;
+
+  if (Array.isArray(newer) && Array.isArray(older)) {
+    const seen = new Set(newer.map(item => JSON.stringify(item)));
+    return [...newer, ...older.filter(item => !seen.has(JSON.stringify(item)))];
+  }
+
+  if (isPlainObject(newer) && isPlainObject(older)) {
+    const merged = {};
+    new Set([...Object.keys(older), ...Object.keys(newer)]).forEach(key => {
+      merged[key] = mergeValues(newer[key], older[key]);
+    });
+    return merged;
+  }
+
+  return newer;
+}
+
+function mergeSettings(local, remote) {
+  const remoteIsNewer = (remote.updatedAt || 0) > (local.updatedAt || 0);
+  const merged = remoteIsNewer ? mergeValues(remote, local) : mergeValues(local, remote);
+  merged.updatedAt = Math.max(Date.now(), local.updatedAt || 0, remote.updatedAt || 0);
+  return merged;
+}
+
+async function reconcileSettings() {
+  const local = await chrome.storage.local.get(['settings', SYNC_FLAG_KEY, SYNC_STATE_KEY]);
+  if (!local[SYNC_FLAG_KEY]) return;
+
+  const syncedAt = (local[SYNC_STATE_KEY] && local[SYNC_STATE_KEY].syncedAt) || 0;
+  const localSettings = local.settings || null;
+  let result = localSettings;
+
+  try {
+    const remoteSettings = await readSyncedSettings();
+    const localChanged = !!localSettings && (localSettings.updatedAt || 0) > syncedAt;
+    const remoteChanged = !!remoteSettings && (remoteSettings.updatedAt || 0) > syncedAt;
+
+    if (remoteSettings && (!localSettings || (remoteChanged && !localChanged))) {
+      result = remoteSettings;
+      await chrome.storage.local.set({ settings: result });
+    } else if (localSettings && (!remoteSettings || (localChanged && !remoteChanged))) {
+      await writeSyncedSettings(localSettings);
+    } else if (localChanged && remoteChanged) {
+      result = mergeSettings(localSettings, remoteSettings);
+      await chrome.storage.local.set({ settings: result });
+      await writeSyncedSettings(result);
+    }
+
+    await chrome.storage.local.set({
+      [SYNC_STATE_KEY]: { syncedAt: result ? result.updatedAt || 0 : syncedAt, error: null }
+    });
+  } catch (error) {
+    console.error('[YLF Background] Settings sync failed:', error);
+    await chrome.storage.local.set({
+      [SYNC_STATE_KEY]: { syncedAt, error: error.message || String(error) }
+    });
+  }
+}
+
+// Serialized like updateState - reconciling twice at once would race
+function queueReconcile() {
+  syncQueue = syncQueue.then(reconcileSettings).catch((error) => {
+    console.error('[YLF Background] Settings sync failed:', error);
+  });
+  return syncQueue;
+}
+
+// Local edits come in bursts (sliders, typing) and sync allows only a
+// limited number of writes per minute, so pushes are debounced
+function schedulePush() {
+  if (syncPushTimeout) clearTimeout(syncPushTimeout);
+  syncPushTimeout = setTimeout(() => {
+    syncPushTimeout = null;
+    queueReconcile();
+  }, SYNC_PUSH_DELAY_MS);
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[SYNC_FLAG_KEY]) {
+    queueReconcile();
+  } else if (areaName === 'local' && changes.settings) {
+    schedulePush();
+  } else if (areaName === 'sync' && changes[SYNC_META_KEY]) {
+    queueReconcile();
+  }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  queueReconcile();
+});
+
+// ===========================================
+// TAB LIFECYCLE
+// ===========================================
+chrome.tabs.onRemoved.addListener((tabId) => {
+  updateState((state) => {
+    delete state[tabId];
+  });
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  // Full page load - the new content script reports fresh counts
+  if (changeInfo.status === 'loading' && changeInfo.url) {
+    updateState((state) => {
+      delete state[tabId];
+    });
+  }
+});
+
+/**
+ * After the extension is installed, updated or reloaded, content scripts in
+ * already-open YouTube tabs are orphaned and can't reach the extension
+ * anymore. Flag those tabs so the user knows to reload them.
+ */
+chrome.runtime.onInstalled.addListener(async () => {
+  await chrome.storage.session.remove(STATE_KEY);
+  queueReconcile();
+
+  const tabs = await chrome.tabs.query({ url: YOUTUBE_URL_PATTERN });
+  for (const tab of tabs) {
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'PING' }, { frameId: 0 });
+      if (!response || !response.ok) {
+        renderDisconnectedBadge(tab.id);
+      }
+    } catch (error) {
+      renderDisconnectedBadge(tab.id);
+    }
+  }
+});
@@ -1,31 +1,50 @@
 // YouTube Language Filter - Content Script
-// Supports both Watch pages (/watch) and Shorts pages (/shorts/*)
+// Supports Watch pages (/watch), Shorts pages (/shorts/*), Community posts (/post/*, channel Posts tabs)
+// and the live chat iframe (/live_chat, /live_chat_replay)
 // Key challenge: YouTube is a SPA, so we must handle dynamic navigation and DOM changes
 (function() {
   'use strict';
 
-  // ===========================================
-  // DEFAULT SETTINGS
-  // ===========================================
-  const DEFAULT_SETTINGS = {
-    enabled: true,
-    allowedLangs: ['en'],
-    mode: 'hide',
-    hideUnknown: false
-  };
+  // Detection engine - shared/detector.js, loaded before this script
+  const { DETECTOR_VERSION, SAMPLE_LENGTH, URL_REGEX, normalizeText, detect } = YLFDetector;
 
-  let settings = { ...DEFAULT_SETTINGS };
+  // Settings defaults and validation - shared/config.js, loaded before this script.
+  // Stored settings are sanitized whenever they are read.
+  const { sanitizeSettings } = YLFConfig;
+
+  let settings = sanitizeSettings(null);
 
   // ===========================================
   // CACHES AND STATE
   // ===========================================
+  // In-memory front of the detection cache (see DETECTION CACHE), in LRU order:
+  // key -> { entry, bytes }
   const langCache = new Map();
   const originalContent = new WeakMap();
 
-  // Processing state
+  // Per-comment detection results (keyed by comment renderer) and the level
+  // at which each thread is currently filtered ('none' | 'top' | 'thread', plus the mode)
+  const commentDetections = new WeakMap();
+  const threadFilterTargets = new WeakMap();
+
+  // Comment ID, text and author per renderer, for rules and the correction control
+  const commentSources = new WeakMap();
+
+  // Collapsed threads the user expanded from a group summary - kept out of
+  // groups until the next rescan
+  let revealedThreads = new WeakSet();
+
+  // User language corrections, mirrored from chrome.storage.local
+  let corrections = { byId: {}, byText: {} };
+
+  // Processing state. Queued comments near the viewport (see viewportObserver)
+  // are processed first, the rest while the page is idle.
   let isProcessing = false;
-  let pendingComments = [];
+  let pendingVisible = new Set();
+  let pendingOffscreen = new Set();
   let processTimeout = null;
+  let idleCallbackId = null;
+  let viewportObserver = null;
 
   // Observer references - must be cleaned up on re-init
   let commentObserver = null;
@@ -35,8 +54,19 @@
   // Track current state
   let lastUrl = '';
   let currentPageType = null;
+  let currentChannel = null;
+  // Set when the channel was looked up before its link rendered
+  let channelPending = false;
   let isInitialized = false;
 
+  // Per-page filtering statistics - reset on navigation and rescan
+  let pageStats = createEmptyStats();
+  let countsReportTimeout = null;
+
+  // Per-comment detection traces while debug mode is on (newest last,
+  // at most MAX_DIAGNOSTICS) - reset on navigation and rescan
+  let diagnostics = [];
+
   /**
    * Generation ID for async operation invalidation.
    * "Extension context invalidated" error happens when:
@@ -55,25 +85,73 @@
   // ===========================================
   const DEBOUNCE_MS = 200;
   const BATCH_SIZE = 20;
-  const SAMPLE_LENGTH = 200;
-  const URL_CHECK_INTERVAL_MS = 500;
+  const URL_FALLBACK_CHECK_MS = 2000;
+  const COUNTS_REPORT_MS = 500;
+  const MAX_CORRECTIONS = 2000;
+  const MAX_DIAGNOSTICS = 500;
+
+  // Offscreen comments are processed IDLE_BATCH_SIZE at a time when the page
+  // is idle; VIEWPORT_MARGIN counts comments just below the fold as visible
+  const VIEWPORT_MARGIN = '300px 0px';
+  const IDLE_BATCH_SIZE = 10;
+  const IDLE_TIMEOUT_MS = 2000;
+
+  // A heuristic worker that has requests waiting but sends nothing for this
+  // long is replaced, and its requests are classified on the main thread.
+  // After MAX_WORKER_FAILURES failures in a row, detection stays on the main thread.
+  const WORKER_SILENCE_MS = 5000;
+  const MAX_WORKER_FAILURES = 3;
+
+  // Estimated size of per-page state kept outside the DOM (see MEMORY BUDGET)
+  const PAGE_STATE_BUDGET_BYTES = 4 * 1024 * 1024;
+
+  // Detection cache
+  const CACHE_DB_NAME = 'ylf-detection-cache';
+  const CACHE_STORE = 'detections';
+  const MEMORY_CACHE_SIZE = 500;
+  const PERSISTENT_CACHE_SIZE = 5000;
+  const CACHE_FLUSH_MS = 1000;
+  const CACHE_PRUNE_EVERY = 200;
+
+  // Languages offered by the correction control (same as the popup preset)
+  const CORRECTION_LANGS = ['en', 'ko', 'ja', 'zh', 'es', 'fr', 'de', 'pt', 'ru', 'hi', 'ar', 'it',
+    'th', 'vi', 'id', 'tr', 'he', 'el'];
+
+  // Live chat can add several messages per second: throttle instead of
+  // debouncing (a debounce would never fire during a busy stream), use small
+  // batches, and once the backlog is too long take the oldest queued messages
+  // out of the queue and classify them with the script heuristic alone (no
+  // Chrome detector, no worker) - by then they have scrolled out of view anyway.
+  const CHAT_THROTTLE_MS = 50;
+  const CHAT_BATCH_SIZE = 10;
+  const CHAT_MAX_PENDING = 100;
+
+  // Collapse mode merges runs of at least GROUP_MIN_SIZE collapsed threads
+  // into one summary row, recomputed once the observer has settled
+  const GROUP_MIN_SIZE = 2;
+  const GROUP_DEBOUNCE_MS = 100;
 
   // CSS classes
   const CLASS_HIDDEN = 'ylf-hidden';
   const CLASS_COLLAPSED = 'ylf-collapsed';
   const CLASS_PLACEHOLDER = 'ylf-placeholder';
+  const CLASS_PLACEHOLDER_COMPACT = 'ylf-placeholder-compact';
   const CLASS_PROCESSED = 'ylf-processed';
+  const CLASS_LANG_TAG = 'ylf-lang-tag';
+  const CLASS_LANG_BADGE = 'ylf-lang-badge';
+  const CLASS_LANG_FOREIGN = 'ylf-lang-foreign';
+  const CLASS_DIMMED = 'ylf-dimmed';
+  const CLASS_REVEALED = 'ylf-revealed';
+  const CLASS_PRIORITIZED = 'ylf-prioritized';
+  const CLASS_DEPRIORITIZED = 'ylf-deprioritized';
+  const CLASS_DIVIDER = 'ylf-divider';
+  const CLASS_GROUPED = 'ylf-grouped';
+  const CLASS_GROUP_SUMMARY = 'ylf-group-summary';
+  const CLASS_DEBUG = 'ylf-debug';
   const DATA_PROCESSED = 'data-ylf-processed';
 
-  // ===========================================
-  // UNICODE RANGES FOR SCRIPT DETECTION
-  // ===========================================
-  const HANGUL_REGEX = /[\uAC00-\uD7A3\u1100-\u11FF\u3130-\u318F]/g;
-  const HIRAGANA_REGEX = /[\u3040-\u309F]/g;
-  const KATAKANA_REGEX = /[\u30A0-\u30FF\u31F0-\u31FF]/g;
-  const HAN_REGEX = /[\u4E00-\u9FFF]/g;
-  const LATIN_REGEX = /[A-Za-z]/g;
-  const URL_REGEX = /https?:\/\/[^\s]+/g;
+  // Channel Posts tab: /@handle/posts, /channel/UC.../community, ...
+  const CHANNEL_POSTS_PATH_REGEX = /^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)\/(community|posts)\/?$/;
 
   // ===========================================
   // RUNTIME CONTEXT VALIDATION
@@ -107,6 +185,96 @@
     return gen === generationId;
   }
 
+  // ===========================================
+  // PAGE STATISTICS
+  // ===========================================
+  function createEmptyStats() {
+    return {
+      processed: 0,
+      shown: 0,
+      hidden: 0,
+      collapsed: 0,
+      dimmed: 0,
+      unknown: 0,
+      byLang: {},
+      detectors: { heuristic: 0, chrome: 0, user: 0 }
+    };
+  }
+
+  /**
+   * Records one processed comment.
+   * @param {object} detection - Result of detectLanguage
+   * @param {'shown'|'hidden'|'collapsed'|'dimmed'} outcome
+   */
+  function recordStats(detection, outcome) {
+    pageStats.processed++;
+    pageStats[outcome]++;
+    if (detection.isUnknown) pageStats.unknown++;
+
+    const lang = detection.isUnknown ? 'unknown' : detection.lang;
+    pageStats.byLang[lang] = (pageStats.byLang[lang] || 0) + 1;
+    pageStats.detectors[detection.source]++;
+
+    if (outcome !== 'shown') scheduleCountsReport();
+  }
+
+  // Annotate and prioritize modes hide nothing, so those comments count as shown
+  function getStatsOutcome(decision) {
+    if (!decision.filter || decision.mode === 'annotate' || decision.mode === 'prioritize') return 'shown';
+    if (decision.mode === 'hide') return 'hidden';
+    return decision.mode === 'dim' ? 'dimmed' : 'collapsed';
+  }
+
+  function resetStats() {
+    pageStats = createEmptyStats();
+    scheduleCountsReport();
+  }
+
+  /**
+   * Sends the filtered count to the service worker for the toolbar badge.
+   * Throttled - a page can process hundreds of comments per second.
+   */
+  function scheduleCountsReport() {
+    if (countsReportTimeout) return;
+
+    countsReportTimeout = setTimeout(() => {
+      countsReportTimeout = null;
+      if (!isRuntimeValid()) return;
+
+      try {
+        chrome.runtime.sendMessage({
+          type: 'COUNTS_UPDATED',
+          filtered: pageStats.hidden + pageStats.collapsed + pageStats.dimmed,
+          enabled: settings.enabled
+        }).catch(() => {
+          // Service worker unavailable - badge just won't update
+        });
+      } catch (error) {
+        // Extension context invalidated
+      }
+    }, COUNTS_REPORT_MS);
+  }
+
+  /**
+   * Takes this frame's count off the badge when the frame goes away, e.g.
+   * the live chat iframe removed by SPA navigation.
+   */
+  function reportFrameRemoved() {
+    if (countsReportTimeout) {
+      clearTimeout(countsReportTimeout);
+      countsReportTimeout = null;
+    }
+    if (!isRuntimeValid()) return;
+
+    try {
+      chrome.runtime.sendMessage({ type: 'FRAME_REMOVED' }).catch(() => {
+        // Service worker unavailable - badge just won't update
+      });
+    } catch (error) {
+      // Extension context invalidated
+    }
+  }
+
   // ===========================================
   // PAGE TYPE DETECTION
   // ===========================================
@@ -114,6 +282,8 @@
     const path = window.location.pathname;
     if (path.startsWith('/watch')) return 'watch';
     if (path.startsWith('/shorts')) return 'shorts';
+    if (path.startsWith('/live_chat')) return 'live_chat';
+    if (path.startsWith('/post/') || CHANNEL_POSTS_PATH_REGEX.test(path)) return 'post';
     return null;
   }
 
@@ -134,317 +304,1495 @@
              document.querySelector('ytd-comments#comments');
     }
 
+    // Channel pages keep previously visited tabs in hidden ytd-browse elements
+    if (pageType === 'post') {
+      return document.querySelector('ytd-browse:not([hidden]) ytd-comments') ||
+             document.querySelector('ytd-browse:not([hidden]) ytd-item-section-renderer[section-identifier="comment-item-section"]') ||
+             document.querySelector('ytd-browse:not([hidden]) ytd-section-list-renderer #contents');
+    }
+
+    if (pageType === 'live_chat') {
+      return document.querySelector('yt-live-chat-item-list-renderer #items') ||
+             document.querySelector('#items.yt-live-chat-item-list-renderer') ||
+             document.querySelector('yt-live-chat-item-list-renderer');
+    }
+
     return null;
   }
 
+  // Older layouts use ytd-comment-renderer, newer ones ytd-comment-view-model
+  const COMMENT_RENDERER_SELECTOR = 'ytd-comment-renderer, ytd-comment-view-model';
+
   function getCommentSelectors() {
-    return 'ytd-comment-thread-renderer, ytd-comment-renderer';
+    if (currentPageType === 'live_chat') {
+      return 'yt-live-chat-text-message-renderer';
+    }
+    return 'ytd-comment-thread-renderer, ' + COMMENT_RENDERER_SELECTOR;
   }
 
   function isCommentElement(element) {
     const tagName = element.tagName?.toLowerCase();
+    if (currentPageType === 'live_chat') {
+      return tagName === 'yt-live-chat-text-message-renderer';
+    }
     return tagName === 'ytd-comment-thread-renderer' ||
-           tagName === 'ytd-comment-renderer';
+           tagName === 'ytd-comment-renderer' ||
+           tagName === 'ytd-comment-view-model';
+  }
+
+  function isThread(element) {
+    return element.tagName.toLowerCase() === 'ytd-comment-thread-renderer';
+  }
+
+  function getParentThread(element) {
+    return element.parentElement?.closest('ytd-comment-thread-renderer') || null;
+  }
+
+  function isReply(element) {
+    return !isThread(element) && !!element.parentElement?.closest('#replies');
+  }
+
+  /**
+   * The top-level comment inside a thread is filtered together with its
+   * thread, so it is never processed on its own.
+   */
+  function isThreadTopComment(element) {
+    return !isThread(element) && !isReply(element) && !!getParentThread(element);
+  }
+
+  function getReplies(thread) {
+    return [...thread.querySelectorAll('#replies ytd-comment-renderer, #replies ytd-comment-view-model')];
+  }
+
+  function isChatMessage(element) {
+    return element.tagName.toLowerCase() === 'yt-live-chat-text-message-renderer';
+  }
+
+  /**
+   * Resolves the element holding the comment's own content
+   * (the top-level comment of a thread, or the element itself).
+   */
+  function getCommentRenderer(commentElement) {
+    if (isThread(commentElement)) {
+      return commentElement.querySelector('#comment') ||
+             commentElement.querySelector(COMMENT_RENDERER_SELECTOR) ||
+             commentElement;
+    }
+    return commentElement;
+  }
+
+  function getTextElement(renderer) {
+    if (isChatMessage(renderer)) {
+      return renderer.querySelector('#message');
+    }
+    return renderer.querySelector('#content-text');
+  }
+
+  /**
+   * The part of a comment that collapse mode hides behind the placeholder.
+   */
+  function getContentContainer(renderer) {
+    if (isChatMessage(renderer)) {
+      return renderer.querySelector('#content');
+    }
+    return renderer.querySelector('#main, #body');
+  }
+
+  // ===========================================
+  // CHANNEL DISCOVERY
+  // ===========================================
+  function findChannelLink(pageType) {
+    if (pageType === 'watch') {
+      return document.querySelector('ytd-watch-metadata ytd-channel-name a') ||
+             document.querySelector('#owner ytd-channel-name a') ||
+             document.querySelector('ytd-video-owner-renderer a.yt-simple-endpoint');
+    }
+
+    if (pageType === 'post') {
+      return document.querySelector('ytd-browse:not([hidden]) ytd-backstage-post-renderer #author-text') ||
+             document.querySelector('ytd-browse:not([hidden]) ytd-post-renderer #author-text');
+    }
+
+    // The chat iframe is same-origin with the watch page that embeds it
+    if (pageType === 'live_chat') {
+      try {
+        const hostDocument = window.parent.document;
+        return hostDocument.querySelector('ytd-watch-metadata ytd-channel-name a') ||
+               hostDocument.querySelector('#owner ytd-channel-name a');
+      } catch (error) {
+        return null;
+      }
+    }
+
+    if (pageType === 'shorts') {
+      return document.querySelector('ytd-reel-video-renderer[is-active] ytd-channel-name a') ||
+             document.querySelector('ytd-reel-video-renderer[is-active] .ytReelChannelBarViewModelChannelName a') ||
+             document.querySelector('ytd-reel-video-renderer[is-active] a[href^="/@"]');
+    }
+
+    return null;
+  }
+
+  /**
+   * Extracts the channel ID or handle from a channel link.
+   * Links look like "/@handle", "/@handle/shorts" or "/channel/UCxxxx".
+   */
+  function parseChannelHref(href) {
+    if (!href) return null;
+
+    const handleMatch = href.match(/\/(@[^/?#]+)/);
+    if (handleMatch) {
+      return { id: null, handle: decodeURIComponent(handleMatch[1]) };
+    }
+
+    const idMatch = href.match(/\/channel\/(UC[\w-]+)/);
+    if (idMatch) {
+      return { id: idMatch[1], handle: null };
+    }
+
+    return null;
+  }
+
+  /**
+   * Returns the channel of the current video, or null if it isn't rendered yet.
+   * Cached until the next navigation/rescan. Comments processed before the
+   * channel resolved are processed again when it has a profile.
+   */
+  function getCurrentChannel() {
+    if (currentChannel) return currentChannel;
+
+    const link = findChannelLink(detectPageType());
+    const info = link && parseChannelHref(link.getAttribute('href'));
+    if (!info) {
+      channelPending = true;
+      return null;
+    }
+
+    currentChannel = {
+      ...info,
+      name: link.textContent?.trim() || info.handle || info.id
+    };
+
+    if (channelPending) {
+      channelPending = false;
+      if (findChannelProfile(currentChannel)) {
+        setTimeout(reprocessAllComments, 0);
+      }
+    }
+    return currentChannel;
+  }
+
+  // ===========================================
+  // CHANNEL PROFILES
+  // ===========================================
+  function findChannelProfile(channel) {
+    if (!channel) return null;
+
+    const profiles = settings.channelProfiles || {};
+    return (channel.id && profiles[channel.id]) ||
+           (channel.handle && profiles[channel.handle]) ||
+           null;
+  }
+
+  /**
+   * Global settings with the current channel's profile (if any) applied on top.
+   */
+  function getEffectiveSettings() {
+    const profile = findChannelProfile(getCurrentChannel());
+    if (!profile) return settings;
+
+    return {
+      ...settings,
+      allowedLangs: profile.allowedLangs,
+      mode: profile.mode ?? settings.mode,
+      hideUnknown: profile.hideUnknown ?? settings.hideUnknown
+    };
+  }
+
+  // ===========================================
+  // AUTHOR RULES
+  // ===========================================
+  /**
+   * Reads the comment author from #author-text (a channel link) or, in live
+   * chat, from #author-name.
+   * @returns {{id: string|null, handle: string|null, name: string}|null}
+   */
+  function getCommentAuthor(renderer) {
+    if (isChatMessage(renderer)) {
+      const name = renderer.querySelector('#author-name')?.textContent?.trim();
+      if (!name) return null;
+      return { id: null, handle: name.startsWith('@') ? name : null, name };
+    }
+
+    const link = renderer.querySelector('#author-text');
+    if (!link) return null;
+
+    const info = parseChannelHref(link.getAttribute('href')) || { id: null, handle: null };
+    const name = link.textContent?.trim() || info.handle || info.id;
+    if (!name) return null;
+
+    return { ...info, name };
+  }
+
+  /**
+   * Rule entries are a channel ID, an @handle or (for live chat) a display name.
+   */
+  function matchesAuthor(entry, author) {
+    const key = entry.trim().toLowerCase();
+    return [author.id, author.handle, author.name].some(value => value && value.toLowerCase() === key);
+  }
+
+  /**
+   * @returns {'allow'|'block'|null} - Allowlist wins over blocklist
+   */
+  function getAuthorRule(author, effective) {
+    if (!author) return null;
+
+    const rules = effective.authorRules;
+    if (rules.allow.some(entry => matchesAuthor(entry, author))) return 'allow';
+    if (rules.block.some(entry => matchesAuthor(entry, author))) return 'block';
+    return null;
+  }
+
+  function getAuthorKey(author) {
+    return author.handle || author.id || author.name;
+  }
+
+  /**
+   * Adds the author to the allow- or blocklist (removing it from the other),
+   * or removes it from both when list is null. Saved like a popup change.
+   */
+  async function setAuthorRule(author, list) {
+    const key = getAuthorKey(author);
+    const without = entries => entries.filter(entry => !matchesAuthor(entry, author));
+
+    const authorRules = {
+      allow: without(settings.authorRules.allow),
+      block: without(settings.authorRules.block)
+    };
+    if (list) authorRules[list].push(key);
+
+    // Stamped for settings sync (see background/service-worker.js)
+    settings = { ...settings, authorRules, updatedAt: Math.max(Date.now(), settings.updatedAt + 1) };
+
+    // Every tab, this one included, picks the change up in handleStorageChange
+    try {
+      if (!isRuntimeValid()) throw new Error('Extension context invalidated');
+      await chrome.storage.local.set({ settings });
+    } catch (error) {
+      // Context may be invalid - apply the rule here until reload
+      reprocessAllComments();
+    }
   }
 
   // ===========================================
-  // SCRIPT-BASED HEURISTIC LANGUAGE CLASSIFIER
+  // TEXT RULES
   // ===========================================
-  function heuristicDetect(text) {
-    let normalized = text.replace(URL_REGEX, '').trim();
+  // Compiled form of settings.textRules, rebuilt when the rules change
+  let compiledTextRules = { source: null, rules: [] };
+
+  /**
+   * Keyword rules match case-insensitively anywhere in the text; regex rules
+   * are compiled with the "i" flag. Invalid regexes are skipped.
+   */
+  function getTextRules(effective) {
+    if (compiledTextRules.source === effective.textRules) {
+      return compiledTextRules.rules;
+    }
+
+    const rules = [];
+    for (const rule of effective.textRules) {
+      if (!rule.pattern) continue;
+
+      if (rule.isRegex) {
+        try {
+          rules.push({ action: rule.action, regex: new RegExp(rule.pattern, 'i') });
+        } catch (error) {
+          // Invalid pattern - the popup reports these when they are added
+        }
+      } else {
+        rules.push({ action: rule.action, keyword: rule.pattern.toLowerCase() });
+      }
+    }
+
+    compiledTextRules = { source: effective.textRules, rules };
+    return rules;
+  }
+
+  /**
+   * @returns {'hide'|'collapse'|'show'|null} - Action of the first matching rule
+   */
+  function getTextRuleAction(text, effective) {
+    if (!text) return null;
+
+    const lower = text.toLowerCase();
+    const match = getTextRules(effective).find(rule =>
+      rule.regex ? rule.regex.test(text) : lower.includes(rule.keyword)
+    );
+    return match ? match.action : null;
+  }
+
+  // ===========================================
+  // USER CORRECTIONS
+  // ===========================================
+  /**
+   * Reads the comment ID from the timestamp link ("/watch?v=...&lc=COMMENT_ID").
+   */
+  function getCommentId(renderer) {
+    const link = renderer.querySelector('#published-time-text a, #header-author a[href*="lc="]');
+    if (!link) return null;
+
+    try {
+      return new URL(link.href, location.origin).searchParams.get('lc');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Text key for corrections: case, spacing and links don't matter, so the
+   * same correction also applies to copy-pasted spam.
+   */
+  function normalizeForCorrection(text) {
+    return text.replace(URL_REGEX, '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  // FNV-1a, 32-bit - short stable keys for chrome.storage
+  function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
 
-    const hangulMatches = normalized.match(HANGUL_REGEX) || [];
-    const hiraganaMatches = normalized.match(HIRAGANA_REGEX) || [];
-    const katakanaMatches = normalized.match(KATAKANA_REGEX) || [];
-    const hanMatches = normalized.match(HAN_REGEX) || [];
-    const latinMatches = normalized.match(LATIN_REGEX) || [];
+  function findCorrection(commentId, text) {
+    const byId = commentId && corrections.byId[commentId];
+    if (byId) return byId.lang;
 
-    const hangulCount = hangulMatches.length;
-    const hiraganaCount = hiraganaMatches.length;
-    const katakanaCount = katakanaMatches.length;
-    const kanaCount = hiraganaCount + katakanaCount;
-    const hanCount = hanMatches.length;
-    const latinCount = latinMatches.length;
+    const byText = corrections.byText[hashText(normalizeForCorrection(text))];
+    return byText ? byText.lang : null;
+  }
+
+  // Keeps the newest MAX_CORRECTIONS entries
+  function pruneCorrections(entries) {
+    const keys = Object.keys(entries);
+    if (keys.length <= MAX_CORRECTIONS) return entries;
+
+    keys.sort((a, b) => entries[b].at - entries[a].at);
+    const pruned = {};
+    keys.slice(0, MAX_CORRECTIONS).forEach(key => {
+      pruned[key] = entries[key];
+    });
+    return pruned;
+  }
+
+  /**
+   * Stores (or, with an empty lang, removes) a correction. The storage change
+   * reprocesses every open tab so every copy of the comment picks it up.
+   */
+  async function saveCorrection(commentId, text, lang) {
+    const textKey = hashText(normalizeForCorrection(text));
+    const byId = { ...corrections.byId };
+    const byText = { ...corrections.byText };
+
+    if (lang) {
+      const entry = { lang, at: Date.now() };
+      if (commentId) byId[commentId] = entry;
+      byText[textKey] = entry;
+    } else {
+      if (commentId) delete byId[commentId];
+      delete byText[textKey];
+    }
+
+    corrections = { byId: pruneCorrections(byId), byText: pruneCorrections(byText) };
+
+    try {
+      await chrome.storage.local.set({ corrections });
+    } catch (error) {
+      // Context may be invalid - apply the correction here until reload
+      reprocessAllComments();
+    }
+  }
+
+  let languageNames = null;
+
+  function getLanguageName(code) {
+    try {
+      languageNames = languageNames || new Intl.DisplayNames(['en'], { type: 'language' });
+      return languageNames.of(code) || code;
+    } catch (error) {
+      return code;
+    }
+  }
+
+  /**
+   * Small language picker showing the detected language. Picking another
+   * language stores a correction; "Auto" removes it.
+   * @param {boolean} [annotate] - Label the detection with its confidence
+   */
+  function createCorrectionControl(renderer, annotate = false) {
+    const detection = commentDetections.get(renderer);
+    const source = commentSources.get(renderer);
+
+    const select = document.createElement('select');
+    select.className = CLASS_LANG_TAG;
+    select.title = 'Wrong language? Pick the right one';
+
+    const detected = detection.isUnknown ? '?' : detection.lang.toUpperCase();
+    const auto = document.createElement('option');
+    auto.value = '';
+    auto.textContent = detection.source === 'user'
+      ? 'Auto (reset)'
+      : (annotate ? `${detected} · ${detection.confidence}` : `${detected} (detected)`);
+    select.appendChild(auto);
+
+    const codes = [...new Set([...CORRECTION_LANGS, ...settings.pinnedLangs, ...settings.allowedLangs])];
+    codes.forEach(code => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = `${code.toUpperCase()} - ${getLanguageName(code)}`;
+      select.appendChild(option);
+    });
+
+    if (source.author) {
+      const authorGroup = document.createElement('optgroup');
+      authorGroup.label = source.author.name;
+      const rule = getAuthorRule(source.author, settings);
+      const actions = [
+        { value: 'author:allow', label: 'Always show this author', show: rule !== 'allow' },
+        { value: 'author:block', label: 'Always hide this author', show: rule !== 'block' },
+        { value: 'author:clear', label: 'Remove author rule', show: !!rule }
+      ];
+      actions.filter(action => action.show).forEach(action => {
+        const option = document.createElement('option');
+        option.value = action.value;
+        option.textContent = action.label;
+        authorGroup.appendChild(option);
+      });
+      select.appendChild(authorGroup);
+    }
+
+    select.value = detection.source === 'user' ? detection.lang : '';
+
+    select.addEventListener('click', (e) => e.stopPropagation());
+    select.addEventListener('change', () => {
+      if (select.value.startsWith('author:')) {
+        const action = select.value.slice('author:'.length);
+        setAuthorRule(source.author, action === 'clear' ? null : action);
+        return;
+      }
+      saveCorrection(source.commentId, getSourceText(renderer, source), select.value);
+    });
+
+    return select;
+  }
+
+  /**
+   * In annotate mode the picker doubles as an always-visible language badge,
+   * marked when the comment isn't in an allowed language.
+   */
+  function renderCorrectionControl(renderer, annotate, foreign) {
+    const header = renderer.querySelector('#header-author');
+    if (!header) return;
+
+    const existing = header.querySelector(':scope > .' + CLASS_LANG_TAG);
+    if (existing) existing.remove();
+
+    const control = createCorrectionControl(renderer, annotate);
+    if (annotate) {
+      control.classList.add(CLASS_LANG_BADGE);
+      control.classList.toggle(CLASS_LANG_FOREIGN, foreign);
+    }
+    header.appendChild(control);
+  }
+
+  // Chat messages get a plain badge - they scroll by too fast to be corrected
+  function renderChatBadge(renderer, detection, foreign) {
+    const existing = renderer.querySelector('span.' + CLASS_LANG_BADGE);
+    if (existing) existing.remove();
+
+    const textElement = getTextElement(renderer);
+    if (!textElement) return;
+
+    const badge = document.createElement('span');
+    badge.className = CLASS_LANG_BADGE;
+    badge.classList.toggle(CLASS_LANG_FOREIGN, foreign);
+    badge.textContent = detection.isUnknown ? '?' : detection.lang.toUpperCase();
+    badge.title = `Confidence: ${detection.confidence}`;
+    textElement.parentNode.insertBefore(badge, textElement);
+  }
 
-    const totalScriptChars = hangulCount + kanaCount + hanCount + latinCount;
+  async function loadCorrections() {
+    if (!isRuntimeValid()) return;
+
+    try {
+      const result = await chrome.storage.local.get('corrections');
+      if (result.corrections) {
+        corrections = { byId: {}, byText: {}, ...result.corrections };
+      }
+    } catch (error) {
+      // Context may be invalid - ignore
+    }
+  }
 
-    if (totalScriptChars < 2) {
-      return { lang: 'unknown', confidence: 'low' };
+  // ===========================================
+  // TEXT NORMALIZATION
+  // ===========================================
+  /**
+   * Links YouTube renders for mentions, timestamps, hashtags and URLs.
+   */
+  function isStructuredLink(link) {
+    const href = link.getAttribute('href') || '';
+    return href.startsWith('/@') ||
+           href.startsWith('/channel/') ||
+           href.startsWith('/hashtag/') ||
+           href.includes('/redirect?') ||
+           /[?&]t=\d/.test(href) ||
+           /^https?:/.test(link.textContent.trim());
+  }
+
+  /**
+   * Comment text without YouTube's structured links. More reliable than
+   * guessing from text: handles can contain any characters.
+   */
+  function extractDetectionText(textElement) {
+    const clone = textElement.cloneNode(true);
+    clone.querySelectorAll('a').forEach(link => {
+      if (isStructuredLink(link)) link.replaceWith(' ');
+    });
+    return clone.textContent || '';
+  }
+
+  // ===========================================
+  // SAFE CHROME LANGUAGE DETECTION WRAPPER
+  // ===========================================
+  /**
+   * Safely calls chrome.i18n.detectLanguage with generation checking.
+   * Prevents "Extension context invalidated" errors from crashing the pipeline.
+   *
+   * @param {string} sample - Text to analyze
+   * @param {number} gen - Generation ID when this call was initiated
+   * @returns {Promise<{languages: Array}|null>} - Detection result or null if stale/error
+   */
+  function safeDetectLanguage(sample, gen) {
+    return new Promise((resolve) => {
+      // Check if runtime is valid before calling
+      if (!isRuntimeValid()) {
+        resolve(null);
+        return;
+      }
+
+      try {
+        chrome.i18n.detectLanguage(sample, (result) => {
+          // Check if this result is still relevant
+          if (!isCurrentGeneration(gen)) {
+            // Generation changed while we were waiting - discard result
+            resolve(null);
+            return;
+          }
+
+          // Check for runtime errors
+          if (chrome.runtime.lastError) {
+            // Context invalidated or other error - gracefully fail
+            resolve(null);
+            return;
+          }
+
+          resolve(result);
+        });
+      } catch (error) {
+        // Extension context invalidated
+        resolve(null);
+      }
+    });
+  }
+
+  // ===========================================
+  // DETECTION CACHE
+  // ===========================================
+  /**
+   * Two-level LRU cache of detection results: langCache in memory, backed by
+   * IndexedDB so results survive navigation and reloads. Entries are keyed by
+   * comment ID (or a text hash when there is none) and carry the hash of the
+   * text they were computed from and the detector version, so edited comments
+   * and results from older detectors or other thresholds are treated as misses.
+   *
+   * The database lives in youtube.com's origin, like everything a content
+   * script stores in IndexedDB. It holds comment IDs and language codes only.
+   */
+  let cacheDbPromise = null;
+  const pendingCacheWrites = new Map();
+  let cacheFlushTimeout = null;
+  let cacheWritesSincePrune = 0;
+
+  // Thresholds change detection results, so they are part of the version
+  function getDetectorVersion() {
+    const { chromeMinPercent, chromeHighPercent, scriptRatio } = settings.thresholds;
+    return `${DETECTOR_VERSION}:${chromeMinPercent}/${chromeHighPercent}/${scriptRatio}`;
+  }
+
+  function getCacheKey(commentId, normalized) {
+    return commentId ? 'id:' + commentId : 'text:' + hashText(normalized) + ':' + normalized.length;
+  }
+
+  function isValidCacheEntry(entry, textHash) {
+    return !!entry && entry.version === getDetectorVersion() && entry.textHash === textHash;
+  }
+
+  // The entry's size is estimated once, when it's stored
+  function rememberDetection(key, entry) {
+    forgetDetection(key);
+    const bytes = estimateBytes(entry);
+    langCache.set(key, { entry, bytes });
+    memoryUsage.cache += bytes;
+    if (langCache.size > MEMORY_CACHE_SIZE) {
+      forgetDetection(langCache.keys().next().value);
+    }
+    enforceMemoryBudget();
+  }
+
+  // Moves a cache hit to the most recently used end
+  function touchDetection(key) {
+    const cached = langCache.get(key);
+    langCache.delete(key);
+    langCache.set(key, cached);
+  }
+
+  function forgetDetection(key) {
+    const cached = langCache.get(key);
+    if (!cached) return;
+    langCache.delete(key);
+    memoryUsage.cache -= cached.bytes;
+  }
+
+  /**
+   * Opens the cache database once. Resolves to null where IndexedDB is
+   * unavailable (e.g. blocked storage) - the memory cache still works then.
+   */
+  function openCacheDb() {
+    if (cacheDbPromise) return cacheDbPromise;
+
+    cacheDbPromise = new Promise(resolve => {
+      try {
+        const request = indexedDB.open(CACHE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+          store.createIndex('at', 'at');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+        request.onblocked = () => resolve(null);
+      } catch (error) {
+        resolve(null);
+      }
+    });
+    return cacheDbPromise;
+  }
+
+  async function readPersistedEntry(key) {
+    const db = await openCacheDb();
+    if (!db) return null;
+
+    return new Promise(resolve => {
+      try {
+        const request = db.transaction(CACHE_STORE).objectStore(CACHE_STORE).get(key);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => resolve(null);
+      } catch (error) {
+        resolve(null);
+      }
+    });
+  }
+
+  /**
+   * @returns {Promise<object|null>} The cached detection, or null on a miss
+   */
+  async function getCachedDetection(key, textHash, persist) {
+    const cached = langCache.get(key);
+    if (cached && isValidCacheEntry(cached.entry, textHash)) {
+      touchDetection(key);
+      return cached.entry.result;
+    }
+
+    if (!persist) return null;
+
+    const stored = await readPersistedEntry(key);
+    if (!isValidCacheEntry(stored, textHash)) return null;
+
+    // Refresh the LRU timestamp
+    const entry = { ...stored, at: Date.now() };
+    rememberDetection(key, entry);
+    queueCacheWrite(entry);
+    return entry.result;
+  }
+
+  function setCachedDetection(key, textHash, result, persist) {
+    const entry = { key, textHash, version: getDetectorVersion(), result, at: Date.now() };
+    rememberDetection(key, entry);
+    if (persist) {
+      queueCacheWrite(entry);
+    }
+  }
+
+  // Writes are batched into one transaction per CACHE_FLUSH_MS
+  function queueCacheWrite(entry) {
+    pendingCacheWrites.set(entry.key, entry);
+    if (!cacheFlushTimeout) {
+      cacheFlushTimeout = setTimeout(flushCacheWrites, CACHE_FLUSH_MS);
+    }
+  }
+
+  async function flushCacheWrites() {
+    cacheFlushTimeout = null;
+    const entries = [...pendingCacheWrites.values()];
+    pendingCacheWrites.clear();
+
+    const db = await openCacheDb();
+    if (!db || entries.length === 0) return;
+
+    try {
+      const store = db.transaction(CACHE_STORE, 'readwrite').objectStore(CACHE_STORE);
+      entries.forEach(entry => store.put(entry));
+    } catch (error) {
+      return;
+    }
+
+    cacheWritesSincePrune += entries.length;
+    if (cacheWritesSincePrune >= CACHE_PRUNE_EVERY) {
+      cacheWritesSincePrune = 0;
+      prunePersistedCache(db);
+    }
+  }
+
+  // Deletes the least recently used entries beyond PERSISTENT_CACHE_SIZE
+  function prunePersistedCache(db) {
+    try {
+      const store = db.transaction(CACHE_STORE, 'readwrite').objectStore(CACHE_STORE);
+      const countRequest = store.count();
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - PERSISTENT_CACHE_SIZE;
+        if (excess <= 0) return;
+
+        store.index('at').openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor || excess <= 0) return;
+          cursor.delete();
+          excess--;
+          cursor.continue();
+        };
+      };
+    } catch (error) {
+      // Database closed or unavailable - try again after the next writes
+    }
+  }
+
+  // ===========================================
+  // HEURISTIC WORKER
+  // ===========================================
+  /**
+   * Runs heuristicDetect in a Web Worker so large comment sections don't
+   * block the page. A content script can't start a worker from an extension
+   * URL, so the worker is built from a Blob of the engine's source
+   * (YLFDetector.source). A worker that errors or stalls is replaced; if one
+   * can't be created (e.g. the page's CSP blocks blob: workers) or keeps
+   * failing, detection stays on the main thread.
+   */
+  const HEURISTIC_WORKER_SOURCE = `
+self.onmessage = (event) => {
+  const { id, normalized, thresholds } = event.data;
+  self.postMessage({ id, heuristic: YLFDetector.heuristicDetect(normalized, thresholds) });
+};`;
+
+  let heuristicWorker = null;
+  let heuristicWorkerWatchdog = null;
+  let heuristicWorkerFailures = 0;
+  let heuristicWorkerDisabled = false;
+  let nextWorkerRequestId = 0;
+  const workerRequests = new Map();
+
+  function getHeuristicWorker() {
+    if (!heuristicWorker && !heuristicWorkerDisabled) {
+      heuristicWorker = startHeuristicWorker();
+    }
+    return heuristicWorker;
+  }
+
+  function startHeuristicWorker() {
+    let url = null;
+    try {
+      const blob = new Blob([YLFDetector.source, HEURISTIC_WORKER_SOURCE], { type: 'text/javascript' });
+      url = URL.createObjectURL(blob);
+      const worker = new Worker(url);
+
+      worker.onmessage = (event) => {
+        heuristicWorkerFailures = 0;
+        const resolve = workerRequests.get(event.data.id);
+        if (resolve) resolve(event.data.heuristic);
+        watchHeuristicWorker(worker, true);
+      };
+      worker.onerror = () => dropHeuristicWorker(worker);
+      return worker;
+    } catch (error) {
+      heuristicWorkerDisabled = true;
+      return null;
+    } finally {
+      // The worker keeps its own reference to the script
+      if (url) URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * Requests still waiting resolve to null and are classified on the main
+   * thread. The next request starts a new worker, unless this one was the
+   * last failure allowed.
+   */
+  function dropHeuristicWorker(worker) {
+    if (worker !== heuristicWorker) return;
+    heuristicWorker = null;
+    worker.terminate();
+    clearTimeout(heuristicWorkerWatchdog);
+    heuristicWorkerWatchdog = null;
+
+    heuristicWorkerFailures++;
+    if (heuristicWorkerFailures >= MAX_WORKER_FAILURES) {
+      heuristicWorkerDisabled = true;
+    }
+    workerRequests.forEach(resolve => resolve(null));
+  }
+
+  /**
+   * Times the worker's silence while requests are waiting: a slow answer on
+   * a busy page is fine, a worker that stops answering at all isn't.
+   * @param {boolean} answered - The worker just sent a result
+   */
+  function watchHeuristicWorker(worker, answered) {
+    if (answered || workerRequests.size === 0) {
+      clearTimeout(heuristicWorkerWatchdog);
+      heuristicWorkerWatchdog = null;
+    }
+    if (workerRequests.size > 0 && !heuristicWorkerWatchdog) {
+      heuristicWorkerWatchdog = setTimeout(() => dropHeuristicWorker(worker), WORKER_SILENCE_MS);
+    }
+  }
+
+  /**
+   * @returns {Promise<object|null>} heuristicDetect's result, or null when
+   *   the worker isn't available
+   */
+  async function runHeuristicInWorker(normalized, thresholds) {
+    const worker = getHeuristicWorker();
+    if (!worker) return null;
+
+    return new Promise(resolve => {
+      const id = ++nextWorkerRequestId;
+      workerRequests.set(id, (heuristic) => {
+        workerRequests.delete(id);
+        resolve(heuristic);
+      });
+      worker.postMessage({ id, normalized, thresholds });
+      watchHeuristicWorker(worker, false);
+    });
+  }
+
+  // ===========================================
+  // HYBRID LANGUAGE DETECTION
+  // ===========================================
+  /**
+   * @param {string} text - Raw comment text
+   * @param {number} gen - Generation ID when this call was initiated
+   * @param {object} [options]
+   * @param {string|null} [options.commentId] - For user corrections
+   * @param {string} [options.domText] - Text with structured links removed (extractDetectionText)
+   * @param {boolean} [options.persist=true] - Also store the result in IndexedDB
+   * @param {boolean} [options.quick] - Skip the worker and Chrome's detector:
+   *   comments the heuristic can't classify come back unknown
+   * @param {object} [options.trace] - Filled with intermediate results for the
+   *   debug overlay. Tracing skips cache lookups so every step actually runs.
+   */
+  async function detectLanguage(text, gen, options = {}) {
+    const trace = options.trace || null;
+
+    // User corrections win over any detection
+    const corrected = findCorrection(options.commentId, text);
+    if (trace) trace.correction = corrected;
+    if (corrected) {
+      return {
+        lang: corrected,
+        isUnknown: false,
+        confidence: 'high',
+        source: 'user',
+        distribution: [{ lang: corrected, share: 100 }]
+      };
+    }
+
+    const normalized = normalizeText(options.domText ?? text);
+    const persist = options.persist !== false;
+    const cacheKey = getCacheKey(options.commentId, normalized);
+    const textHash = hashText(normalized);
+    const cached = trace ? null : await getCachedDetection(cacheKey, textHash, persist);
+    if (cached) {
+      return cached;
+    }
+
+    const thresholds = settings.thresholds;
+    const heuristic = options.quick ? null : await runHeuristicInWorker(normalized, thresholds);
+    const { result, complete } = await detect(normalized, {
+      thresholds,
+      heuristic,
+      detectLanguage: options.quick ? null : sample => safeDetectLanguage(sample, gen),
+      trace
+    });
+
+    // Don't cache stale or failed Chrome calls
+    if (complete) {
+      setCachedDetection(cacheKey, textHash, result, persist);
+    }
+    return result;
+  }
+
+  // ===========================================
+  // FILTERING LOGIC
+  // ===========================================
+  function shouldFilterComment(detection, effective) {
+    return getLanguageDecision(detection, effective).filter;
+  }
+
+  /**
+   * The language decision with the rule that made it (for the debug overlay).
+   * @returns {{filter: boolean, reason: string}}
+   */
+  function getLanguageDecision(detection, effective) {
+    if (hasAllowedShare(detection, effective)) {
+      return { filter: false, reason: `an allowed language has at least ${effective.mixedMinShare}% of the text` };
+    }
+    if (detection.isUnknown) {
+      return effective.hideUnknown
+        ? { filter: true, reason: 'unknown language, hiding unknown' }
+        : { filter: false, reason: 'unknown language' };
+    }
+    if (!meetsFilterConfidence(detection.confidence, effective) && !effective.hideUnknown) {
+      return {
+        filter: false,
+        reason: `${detection.confidence} confidence is below ${effective.thresholds.filterConfidence}, treated as unknown`
+      };
+    }
+
+    const allowed = effective.allowedLangs.includes(detection.lang);
+    return { filter: !allowed, reason: `${detection.lang.toUpperCase()} is ${allowed ? '' : 'not '}allowed` };
+  }
+
+  const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+  /**
+   * Detections below the configured confidence are treated like unknown ones.
+   */
+  function meetsFilterConfidence(confidence, effective) {
+    return CONFIDENCE_LEVELS.indexOf(confidence) >=
+           CONFIDENCE_LEVELS.indexOf(effective.thresholds.filterConfidence);
+  }
+
+  /**
+   * Mixed-language comments are shown when any allowed language makes up
+   * at least `mixedMinShare` percent of the text (0 disables the rule).
+   */
+  function hasAllowedShare(detection, effective) {
+    if (!effective.mixedMinShare || !detection.distribution) return false;
+
+    return detection.distribution.some(({ lang, share }) =>
+      share >= effective.mixedMinShare && effective.allowedLangs.includes(lang)
+    );
+  }
+
+  // ===========================================
+  // COMMENT PROCESSING
+  // ===========================================
+  function queueComments(comments, gen) {
+    // Check if this generation is still current
+    if (!isCurrentGeneration(gen)) return;
+
+    const chat = currentPageType === 'live_chat';
+    comments.forEach(c => {
+      if (c.hasAttribute(DATA_PROCESSED)) return;
+      if (c.classList.contains(CLASS_PROCESSED)) return;
+      if (pendingVisible.has(c) || pendingOffscreen.has(c)) return;
+
+      // New chat messages appear at the bottom of the visible chat
+      if (chat) {
+        pendingVisible.add(c);
+        return;
+      }
+
+      // Offscreen until the observer's first callback says otherwise
+      pendingOffscreen.add(c);
+      getViewportObserver().observe(c);
+    });
+
+    if (chat) {
+      const overflow = [];
+      while (pendingVisible.size > CHAT_MAX_PENDING) {
+        const oldest = pendingVisible.values().next().value;
+        pendingVisible.delete(oldest);
+        overflow.push(oldest);
+      }
+      if (overflow.length > 0) {
+        processBatch(overflow, gen, { quick: true });
+      }
+      if (!processTimeout) {
+        processTimeout = setTimeout(processQueue, CHAT_THROTTLE_MS);
+      }
+      return;
+    }
+
+    if (processTimeout) {
+      clearTimeout(processTimeout);
+    }
+    processTimeout = setTimeout(processQueue, DEBOUNCE_MS);
+  }
+
+  function getViewportObserver() {
+    if (!viewportObserver) {
+      viewportObserver = new IntersectionObserver(handleViewportChange, { rootMargin: VIEWPORT_MARGIN });
+    }
+    return viewportObserver;
+  }
+
+  // Moves queued comments between the visible and offscreen queues
+  function handleViewportChange(entries) {
+    let becameVisible = false;
+    entries.forEach(entry => {
+      if (entry.isIntersecting && pendingOffscreen.delete(entry.target)) {
+        pendingVisible.add(entry.target);
+        becameVisible = true;
+      } else if (!entry.isIntersecting && pendingVisible.delete(entry.target)) {
+        pendingOffscreen.add(entry.target);
+      }
+    });
+
+    // Scrolled into view - don't wait for the idle queue
+    if (becameVisible && !processTimeout) {
+      processTimeout = setTimeout(processQueue, 0);
+    }
+  }
+
+  // Removes up to `size` comments from the front of a queue
+  function takeBatch(queue, size) {
+    const batch = [];
+    for (const comment of queue) {
+      if (batch.length >= size) break;
+      batch.push(comment);
+    }
+    batch.forEach(comment => {
+      queue.delete(comment);
+      if (viewportObserver) viewportObserver.unobserve(comment);
+    });
+    return batch;
+  }
+
+  function clearQueue() {
+    if (processTimeout) {
+      clearTimeout(processTimeout);
+      processTimeout = null;
+    }
+    if (idleCallbackId !== null) {
+      cancelIdleCallback(idleCallbackId);
+      idleCallbackId = null;
+    }
+    if (viewportObserver) {
+      viewportObserver.disconnect();
+      viewportObserver = null;
+    }
+    pendingVisible = new Set();
+    pendingOffscreen = new Set();
+  }
+
+  /**
+   * Processes the visible queue, then hands over to idle processing.
+   * Always runs in the current generation: comments queued before a
+   * rescan still need processing after it.
+   */
+  async function processQueue() {
+    processTimeout = null;
+    if (isProcessing) return;
+
+    const gen = generationId;
+    const batchSize = currentPageType === 'live_chat' ? CHAT_BATCH_SIZE : BATCH_SIZE;
+    isProcessing = true;
+
+    try {
+      while (pendingVisible.size > 0 && isCurrentGeneration(gen)) {
+        await processBatch(takeBatch(pendingVisible, batchSize), gen);
+
+        if (pendingVisible.size > 0 && isCurrentGeneration(gen)) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+      }
+    } finally {
+      isProcessing = false;
+    }
+
+    if (!isCurrentGeneration(gen) && pendingVisible.size > 0) {
+      if (!processTimeout) processTimeout = setTimeout(processQueue, 0);
+      return;
+    }
+    scheduleIdleProcessing();
+  }
+
+  function scheduleIdleProcessing() {
+    if (idleCallbackId !== null || pendingOffscreen.size === 0) return;
+    idleCallbackId = requestIdleCallback(processIdleBatch, { timeout: IDLE_TIMEOUT_MS });
+  }
+
+  /**
+   * One small batch of offscreen comments per idle period, so scrolling and
+   * YouTube's own rendering keep priority. Visible comments go first: when
+   * any are queued, processQueue schedules idle processing once it's done.
+   */
+  async function processIdleBatch() {
+    idleCallbackId = null;
+    if (isProcessing || pendingVisible.size > 0) return;
+
+    isProcessing = true;
+    try {
+      await processBatch(takeBatch(pendingOffscreen, IDLE_BATCH_SIZE), generationId);
+    } finally {
+      isProcessing = false;
+    }
+
+    if (pendingVisible.size > 0) {
+      processQueue();
+    } else {
+      scheduleIdleProcessing();
+    }
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.quick] - Heuristic-only detection (see CHAT_MAX_PENDING)
+   */
+  async function processBatch(comments, gen, options = {}) {
+    // One failing comment shouldn't stop the rest of the batch. It stays
+    // unmarked, so the next rescan tries it again.
+    const promises = comments.map(comment =>
+      processComment(comment, gen, options).catch(error => {
+        if (settings.debug) console.error('YouTube Language Filter: failed to process comment', error);
+      })
+    );
+    await Promise.all(promises);
+  }
+
+  async function processComment(commentElement, gen, options = {}) {
+    // Check if still current generation
+    if (!isCurrentGeneration(gen)) return;
+    if (!settings.enabled) return;
+
+    if (isThreadTopComment(commentElement)) {
+      markProcessed(commentElement);
+      return;
+    }
+
+    const renderer = getCommentRenderer(commentElement);
+    const textElement = getTextElement(renderer);
+    if (!textElement) {
+      markProcessed(commentElement);
+      return;
+    }
+
+    const text = textElement.textContent?.trim();
+    if (!text) {
+      markProcessed(commentElement);
+      return;
     }
 
-    const hangulRatio = hangulCount / totalScriptChars;
-    const kanaRatio = kanaCount / totalScriptChars;
-    const hanRatio = hanCount / totalScriptChars;
-    const latinRatio = latinCount / totalScriptChars;
+    const chat = isChatMessage(renderer);
+    const commentId = chat ? null : getCommentId(renderer);
+    // Chat messages are never seen again - keep them out of IndexedDB
+    const trace = settings.debug ? {} : null;
+    const detection = await detectLanguage(text, gen, {
+      commentId,
+      domText: extractDetectionText(textElement),
+      persist: !chat,
+      quick: options.quick,
+      trace
+    });
 
-    // Korean detection
-    if (hangulCount >= 2 && (hangulRatio >= 0.20 || hangulCount > kanaCount)) {
-      return { lang: 'ko', confidence: 'high' };
-    }
-    if (hangulCount >= 1 && kanaCount === 0 && hanCount === 0) {
-      return { lang: 'ko', confidence: 'medium' };
-    }
+    // Check again after async operation
+    if (!isCurrentGeneration(gen)) return;
 
-    // Japanese detection - ONLY if kana exists and no Hangul
-    if (kanaCount >= 2 && hangulCount === 0) {
-      if (kanaRatio >= 0.10) {
-        return { lang: 'ja', confidence: 'high' };
-      }
+    const effective = getEffectiveSettings();
+    commentDetections.set(renderer, detection);
+    const source = { commentId, text, author: getCommentAuthor(renderer) };
+    commentSources.set(renderer, source);
+    trackTextCopy(source);
+    const decision = decideFilter(renderer, effective);
+
+    // Chat messages scroll by too fast to be corrected
+    const annotate = effective.mode === 'annotate';
+    if (!chat) {
+      renderCorrectionControl(renderer, annotate, decision.filter);
+    } else if (annotate) {
+      renderChatBadge(renderer, detection, decision.filter);
     }
-    if (kanaCount >= 1 && hangulCount >= 1) {
-      return { lang: 'uncertain', confidence: 'low' };
+    recordStats(detection, getStatsOutcome(decision));
+    if (trace) {
+      recordDiagnostics(renderer, detection, trace, decision);
     }
 
-    // Chinese detection
-    if (hanCount >= 2 && hangulCount === 0 && kanaCount === 0) {
-      if (hanRatio >= 0.30 || (hanRatio >= 0.20 && latinRatio < 0.50)) {
-        return { lang: 'zh', confidence: 'medium' };
+    if (isThread(commentElement)) {
+      applyThreadPolicy(commentElement, effective);
+    } else {
+      applyFilter(commentElement, renderer, decision.filter, detection, decision.mode);
+
+      // A reply can change whether its thread is kept
+      const thread = isReply(commentElement) ? getParentThread(commentElement) : null;
+      if (thread && thread.hasAttribute(DATA_PROCESSED)) {
+        applyThreadPolicy(thread, effective);
       }
     }
 
-    // English/Latin detection
-    if (latinRatio >= 0.30 && hangulCount === 0 && kanaCount === 0 && hanCount === 0) {
-      return { lang: 'en', confidence: 'high' };
-    }
-    if (latinRatio >= 0.50 && (hangulCount + kanaCount + hanCount) <= 1) {
-      return { lang: 'en', confidence: 'medium' };
+    markProcessed(commentElement);
+  }
+
+  /**
+   * Final filter decision for a processed comment: author rules first,
+   * then keyword/regex rules, then language.
+   * @returns {{filter: boolean, mode: string, reason: string}} - mode is the
+   *   display mode to use, reason is shown by the debug overlay
+   */
+  function decideFilter(renderer, effective) {
+    const source = commentSources.get(renderer);
+    const authorRule = getAuthorRule(source && source.author, effective);
+    if (authorRule) {
+      return { filter: authorRule === 'block', mode: effective.mode, reason: `author rule (${authorRule})` };
     }
 
-    // Mixed Han + Latin
-    if (hanCount >= 1 && latinCount >= 1 && hangulCount === 0 && kanaCount === 0) {
-      if (hanRatio > latinRatio) {
-        return { lang: 'zh', confidence: 'low' };
-      }
-      return { lang: 'uncertain', confidence: 'low' };
+    const textAction = getTextRuleAction(source && getSourceText(renderer, source), effective);
+    if (textAction) {
+      const reason = `text rule (${textAction})`;
+      return textAction === 'show'
+        ? { filter: false, mode: effective.mode, reason }
+        : { filter: true, mode: textAction, reason };
     }
 
-    return { lang: 'uncertain', confidence: 'low' };
+    const language = getLanguageDecision(commentDetections.get(renderer), effective);
+    return { filter: language.filter, mode: effective.mode, reason: language.reason };
   }
 
   // ===========================================
-  // SAFE CHROME LANGUAGE DETECTION WRAPPER
+  // MEMORY BUDGET
   // ===========================================
   /**
-   * Safely calls chrome.i18n.detectLanguage with generation checking.
-   * Prevents "Extension context invalidated" errors from crashing the pipeline.
-   *
-   * @param {string} sample - Text to analyze
-   * @param {number} gen - Generation ID when this call was initiated
-   * @returns {Promise<{languages: Array}|null>} - Detection result or null if stale/error
+   * Per-page state that isn't freed with the DOM is capped at
+   * PAGE_STATE_BUDGET_BYTES, estimated from UTF-16 string sizes. Over
+   * budget, the cheapest data to lose goes first: our copies of comment text
+   * (the DOM still has them, see getSourceText), then diagnostics, then the
+   * in-memory detection cache (IndexedDB keeps those results).
    */
-  function safeDetectLanguage(sample, gen) {
-    return new Promise((resolve) => {
-      // Check if runtime is valid before calling
-      if (!isRuntimeValid()) {
-        resolve(null);
-        return;
-      }
-
-      try {
-        chrome.i18n.detectLanguage(sample, (result) => {
-          // Check if this result is still relevant
-          if (!isCurrentGeneration(gen)) {
-            // Generation changed while we were waiting - discard result
-            resolve(null);
-            return;
-          }
+  const memoryUsage = { texts: 0, diagnostics: 0, cache: 0 };
 
-          // Check for runtime errors
-          if (chrome.runtime.lastError) {
-            // Context invalidated or other error - gracefully fail
-            resolve(null);
-            return;
-          }
+  // { ref: WeakRef to a comment source, bytes }, oldest first
+  let textCopies = [];
 
-          resolve(result);
-        });
-      } catch (error) {
-        // Extension context invalidated
-        resolve(null);
-      }
-    });
+  function estimateBytes(value) {
+    return JSON.stringify(value).length * 2;
   }
 
-  // ===========================================
-  // HYBRID LANGUAGE DETECTION
-  // ===========================================
-  async function detectLanguage(text, gen) {
-    const cacheKey = text.substring(0, 100);
-    if (langCache.has(cacheKey)) {
-      return langCache.get(cacheKey);
-    }
+  function trackTextCopy(source) {
+    const bytes = source.text.length * 2;
+    textCopies.push({ ref: new WeakRef(source), bytes });
+    memoryUsage.texts += bytes;
+    enforceMemoryBudget();
+  }
 
-    const heuristic = heuristicDetect(text);
+  function isOverBudget() {
+    return memoryUsage.texts + memoryUsage.diagnostics + memoryUsage.cache > PAGE_STATE_BUDGET_BYTES;
+  }
 
-    if (heuristic.lang !== 'uncertain' && heuristic.lang !== 'unknown') {
-      const result = {
-        lang: heuristic.lang,
-        isUnknown: false,
-        confidence: heuristic.confidence
-      };
-      langCache.set(cacheKey, result);
-      return result;
+  function enforceMemoryBudget() {
+    while (isOverBudget() && textCopies.length > 0) {
+      const { ref, bytes } = textCopies.shift();
+      const source = ref.deref();
+      if (source) source.text = null;
+      memoryUsage.texts -= bytes;
     }
-
-    if (heuristic.lang === 'unknown') {
-      const result = { lang: 'unknown', isUnknown: true, confidence: 'low' };
-      langCache.set(cacheKey, result);
-      return result;
+    while (isOverBudget() && diagnostics.length > 0) {
+      memoryUsage.diagnostics -= estimateBytes(diagnostics.shift());
     }
-
-    // Fallback to chrome.i18n.detectLanguage with safety wrapper
-    const sample = text.substring(0, SAMPLE_LENGTH);
-    const chromeResult = await safeDetectLanguage(sample, gen);
-
-    // If null, detection was stale or failed - return unknown
-    if (!chromeResult) {
-      const result = { lang: 'unknown', isUnknown: true, confidence: 'low' };
-      // Don't cache stale results
-      return result;
+    while (isOverBudget() && langCache.size > 0) {
+      forgetDetection(langCache.keys().next().value);
     }
+  }
 
-    let result = { lang: 'unknown', isUnknown: true, confidence: 'low' };
+  // Text of a processed comment, re-read from the DOM once our copy was dropped
+  function getSourceText(renderer, source) {
+    if (source.text !== null) return source.text;
+    return getTextElement(renderer)?.textContent?.trim() || '';
+  }
+
+  // Navigation and rescans replace every comment source and diagnostic
+  function resetTrackedState() {
+    diagnostics = [];
+    textCopies = [];
+    memoryUsage.diagnostics = 0;
+    memoryUsage.texts = 0;
+  }
 
-    if (chromeResult.languages && chromeResult.languages.length > 0) {
-      const topLang = chromeResult.languages.reduce((a, b) =>
-        (a.percentage > b.percentage) ? a : b
-      );
+  // ===========================================
+  // DEBUG OVERLAY AND DIAGNOSTICS
+  // ===========================================
+  function recordDiagnostics(renderer, detection, trace, decision) {
+    const source = commentSources.get(renderer);
+    const entry = {
+      commentId: source.commentId,
+      author: source.author ? source.author.handle || source.author.name : null,
+      text: getSourceText(renderer, source).substring(0, SAMPLE_LENGTH),
+      detection,
+      trace,
+      decision,
+      at: Date.now()
+    };
+    diagnostics.push(entry);
+    memoryUsage.diagnostics += estimateBytes(entry);
+    if (diagnostics.length > MAX_DIAGNOSTICS) {
+      memoryUsage.diagnostics -= estimateBytes(diagnostics.shift());
+    }
+    enforceMemoryBudget();
 
-      const detectedLang = normalizeLanguageCode(topLang.language);
-      const isValid = validateChromeResult(detectedLang, text);
+    renderDebugOverlay(renderer, detection, trace, decision);
+  }
 
-      if (topLang.percentage >= 40 && isValid) {
-        result = {
-          lang: detectedLang,
-          isUnknown: false,
-          confidence: topLang.percentage >= 70 ? 'high' : 'medium'
-        };
+  function formatDebugLines(detection, trace, decision) {
+    const lang = detection.isUnknown ? 'unknown' : detection.lang.toUpperCase();
+    const lines = [`${lang} · ${detection.confidence} · ${detection.source}`];
+
+    if (trace.correction) {
+      lines.push('user correction');
+    } else if (trace.heuristic) {
+      const scripts = Object.entries(trace.heuristic.ratios)
+        .map(([script, ratio]) => `${script} ${trace.heuristic.scripts[script]} (${ratio}%)`)
+        .join(', ');
+      lines.push(`heuristic: ${trace.heuristic.lang} · ${scripts || 'no script characters'}`);
+
+      if (!trace.chrome) {
+        lines.push('chrome: not run');
+      } else if (trace.chrome.failed) {
+        lines.push('chrome: failed or stale');
+      } else {
+        const langs = trace.chrome.languages.map(l => `${l.language} ${l.percentage}%`).join(', ');
+        const verdict = trace.chrome.top
+          ? ` → ${trace.chrome.top} ${trace.chrome.valid ? 'valid' : 'rejected by script check'}, min ${trace.chrome.minPercent}%`
+          : '';
+        lines.push(`chrome: ${langs || 'no result'}${trace.chrome.isReliable ? ' (reliable)' : ''}${verdict}`);
       }
     }
 
-    langCache.set(cacheKey, result);
-    return result;
+    lines.push(`decision: ${decision.filter ? decision.mode : 'show'} · ${decision.reason}`);
+    return lines;
   }
 
-  function validateChromeResult(detectedLang, text) {
-    const hangulMatches = text.match(HANGUL_REGEX) || [];
-    const kanaMatches = text.match(HIRAGANA_REGEX) || [];
-    const katakanaMatches = text.match(KATAKANA_REGEX) || [];
-
-    const hangulCount = hangulMatches.length;
-    const kanaCount = kanaMatches.length + katakanaMatches.length;
+  // Above the comment (below a collapse placeholder); after the message in chat
+  function renderDebugOverlay(renderer, detection, trace, decision) {
+    const existing = renderer.querySelector('.' + CLASS_DEBUG);
+    if (existing) existing.remove();
 
-    if (detectedLang === 'ja') {
-      if (hangulCount > 0 && kanaCount === 0) return false;
-      if (kanaCount === 0) return false;
-    }
+    const overlay = document.createElement('div');
+    overlay.className = CLASS_DEBUG;
+    overlay.textContent = formatDebugLines(detection, trace, decision).join('\n');
 
-    if (detectedLang === 'ko' && hangulCount === 0) {
-      return false;
+    const textElement = getTextElement(renderer);
+    if (isChatMessage(renderer) && textElement) {
+      textElement.insertAdjacentElement('afterend', overlay);
+    } else {
+      renderer.insertBefore(overlay, renderer.firstChild);
     }
-
-    return true;
   }
 
-  function normalizeLanguageCode(code) {
-    if (code.includes('-')) {
-      return code.split('-')[0].toLowerCase();
-    }
-    return code.toLowerCase();
+  /**
+   * JSON report for bug reports: everything recorded on this page since
+   * the last navigation or rescan, plus the settings in effect.
+   */
+  function buildDiagnosticsReport() {
+    return {
+      format: 'ylf-diagnostics',
+      version: 1,
+      generatedAt: new Date().toISOString(),
+      extensionVersion: isRuntimeValid() ? chrome.runtime.getManifest().version : null,
+      detectorVersion: getDetectorVersion(),
+      page: location.href,
+      pageType: currentPageType,
+      channel: getCurrentChannel(),
+      userAgent: navigator.userAgent,
+      settings: getEffectiveSettings(),
+      stats: pageStats,
+      comments: diagnostics
+    };
   }
 
   // ===========================================
-  // FILTERING LOGIC
+  // THREAD POLICY
   // ===========================================
-  function shouldFilterComment(detection) {
-    if (detection.isUnknown && !settings.hideUnknown) return false;
-    if (detection.isUnknown && settings.hideUnknown) return true;
-    if (detection.confidence === 'low' && !settings.hideUnknown) return false;
-    return !settings.allowedLangs.includes(detection.lang);
+  function hasAllowedReply(thread, effective) {
+    return getReplies(thread).some(reply =>
+      commentDetections.has(reply) && !decideFilter(reply, effective).filter
+    );
   }
 
-  // ===========================================
-  // COMMENT PROCESSING
-  // ===========================================
-  function queueComments(comments, gen) {
-    // Check if this generation is still current
-    if (!isCurrentGeneration(gen)) return;
-
-    const newComments = comments.filter(c => {
-      if (c.hasAttribute(DATA_PROCESSED)) return false;
-      if (c.classList.contains(CLASS_PROCESSED)) return false;
-      if (pendingComments.includes(c)) return false;
-      return true;
-    });
-
-    pendingComments.push(...newComments);
+  /**
+   * The thread has replies that aren't loaded (behind "View replies") or
+   * not classified yet.
+   */
+  function hasPendingReplies(thread) {
+    const container = thread.querySelector('#replies');
+    if (!container || container.childElementCount === 0) return false;
 
-    if (processTimeout) {
-      clearTimeout(processTimeout);
-    }
-    processTimeout = setTimeout(() => processQueue(gen), DEBOUNCE_MS);
+    const replies = getReplies(thread);
+    return replies.length === 0 || replies.some(reply => !commentDetections.has(reply));
   }
 
-  async function processQueue(gen) {
-    // Check if this generation is still current
-    if (!isCurrentGeneration(gen)) {
-      pendingComments = [];
-      return;
-    }
-
-    if (isProcessing || pendingComments.length === 0) return;
-
-    isProcessing = true;
-
-    try {
-      while (pendingComments.length > 0 && isCurrentGeneration(gen)) {
-        const batch = pendingComments.splice(0, BATCH_SIZE);
-        await processBatch(batch, gen);
-
-        if (pendingComments.length > 0 && isCurrentGeneration(gen)) {
-          await new Promise(resolve => setTimeout(resolve, 10));
-        }
+  /**
+   * Decides whether a thread with a filtered top-level comment is filtered
+   * as a whole or only its top-level comment is. Replies are always
+   * filtered on their own.
+   *
+   * threadPolicy:
+   * - 'thread': the top-level comment decides for the whole thread
+   * - 'any-reply': keep the thread if any reply is in an allowed language.
+   *   Until its replies are loaded and classified only the top-level comment
+   *   is filtered, so the replies expander stays reachable.
+   * - 'replies-only': never filter whole threads, only individual comments
+   */
+  function applyThreadPolicy(thread, effective) {
+    const top = getCommentRenderer(thread);
+    const detection = commentDetections.get(top);
+    if (!detection) return;
+
+    const decision = decideFilter(top, effective);
+    let target = 'none';
+    if (decision.filter) {
+      if (effective.threadPolicy === 'replies-only') {
+        target = 'top';
+      } else if (effective.threadPolicy === 'any-reply' &&
+                 (hasAllowedReply(thread, effective) || hasPendingReplies(thread))) {
+        target = 'top';
+      } else {
+        target = 'thread';
       }
-    } finally {
-      isProcessing = false;
     }
-  }
-
-  async function processBatch(comments, gen) {
-    const promises = comments.map(comment => processComment(comment, gen));
-    await Promise.all(promises);
-  }
-
-  async function processComment(commentElement, gen) {
-    // Check if still current generation
-    if (!isCurrentGeneration(gen)) return;
-    if (!settings.enabled) return;
 
-    let renderer = commentElement;
-    if (commentElement.tagName.toLowerCase() === 'ytd-comment-thread-renderer') {
-      renderer = commentElement.querySelector('ytd-comment-renderer') || commentElement;
-    }
+    // Re-applying an unchanged decision would undo the user's "Show"
+    const targetKey = target + ':' + decision.mode;
+    if (threadFilterTargets.get(thread) === targetKey) return;
+    threadFilterTargets.set(thread, targetKey);
 
-    const textElement = renderer.querySelector('#content-text');
-    if (!textElement) {
-      markProcessed(commentElement);
-      return;
-    }
+    resetFilter(thread, top);
+    resetFilter(top, top);
 
-    const text = textElement.textContent?.trim();
-    if (!text) {
-      markProcessed(commentElement);
-      return;
+    if (target === 'thread') {
+      applyFilter(thread, top, true, detection, decision.mode);
+    } else if (target === 'top') {
+      applyFilter(top, top, true, detection, decision.mode);
     }
-
-    const detection = await detectLanguage(text, gen);
-
-    // Check again after async operation
-    if (!isCurrentGeneration(gen)) return;
-
-    const shouldFilter = shouldFilterComment(detection);
-    applyFilter(commentElement, renderer, shouldFilter, detection);
-    markProcessed(commentElement);
   }
 
   function markProcessed(element) {
@@ -455,26 +1803,47 @@
   // ===========================================
   // FILTER APPLICATION
   // ===========================================
-  function applyFilter(commentElement, renderer, shouldFilter, detection) {
+  /**
+   * mode: 'hide' | 'collapse' | 'dim' | 'annotate' | 'prioritize'. Annotate
+   * mode only labels comments (see renderCorrectionControl), so nothing is
+   * applied here.
+   */
+  function applyFilter(commentElement, renderer, shouldFilter, detection, mode) {
     resetFilter(commentElement, renderer);
 
     if (!shouldFilter) return;
 
-    if (settings.mode === 'hide') {
+    if (mode === 'hide') {
       applyHideMode(commentElement);
-    } else {
+    } else if (mode === 'dim') {
+      applyDimMode(commentElement);
+    } else if (mode === 'collapse') {
       applyCollapseMode(commentElement, renderer, detection);
+    } else if (mode === 'prioritize') {
+      applyPrioritizeMode(commentElement);
     }
   }
 
   function resetFilter(commentElement, renderer) {
+    if (commentElement.classList.contains(CLASS_COLLAPSED) && isThread(commentElement)) {
+      scheduleGroupUpdate(commentElement.parentElement);
+    }
+    commentElement.classList.remove(CLASS_GROUPED);
+
     commentElement.classList.remove(CLASS_HIDDEN);
     commentElement.classList.remove(CLASS_COLLAPSED);
+    commentElement.classList.remove(CLASS_DIMMED);
+    commentElement.classList.remove(CLASS_REVEALED);
+    if (commentElement.classList.contains(CLASS_DEPRIORITIZED)) {
+      commentElement.classList.remove(CLASS_DEPRIORITIZED);
+      updatePriorityDivider(commentElement.parentElement);
+    }
 
-    const placeholder = commentElement.querySelector('.' + CLASS_PLACEHOLDER);
+    // Scoped to the renderer so a reply's placeholder isn't removed with its thread's
+    const placeholder = renderer.querySelector(':scope > .' + CLASS_PLACEHOLDER);
     if (placeholder) placeholder.remove();
 
-    const contentContainer = renderer.querySelector('#main, #body');
+    const contentContainer = getContentContainer(renderer);
     if (contentContainer && originalContent.has(commentElement)) {
       contentContainer.style.display = '';
     }
@@ -484,10 +1853,70 @@
     commentElement.classList.add(CLASS_HIDDEN);
   }
 
+  // Faded and blurred in place; hovering reveals it, a click keeps it revealed
+  function applyDimMode(commentElement) {
+    commentElement.classList.add(CLASS_DIMMED);
+  }
+
+  /**
+   * Moves a thread below the "Other languages" divider. Only the CSS order
+   * changes - YouTube keeps rendering into the container as usual, including
+   * continuation loading, and nothing needs to be moved back. Replies stay
+   * inside their thread, so only whole threads are reordered.
+   */
+  function applyPrioritizeMode(commentElement) {
+    if (!isThread(commentElement) || !commentElement.parentElement) return;
+
+    commentElement.classList.add(CLASS_DEPRIORITIZED);
+    updatePriorityDivider(commentElement.parentElement);
+  }
+
+  /**
+   * The container becomes a flex column: allowed threads keep their order,
+   * then the divider, the other threads and the continuation item (see
+   * content.css). Without other-language threads it is left untouched.
+   */
+  function updatePriorityDivider(container) {
+    if (!container) return;
+
+    const count = container.querySelectorAll(':scope > .' + CLASS_DEPRIORITIZED).length;
+    let divider = container.querySelector(':scope > .' + CLASS_DIVIDER);
+
+    if (count === 0) {
+      if (divider) divider.remove();
+      container.classList.remove(CLASS_PRIORITIZED);
+      return;
+    }
+
+    if (!divider) {
+      divider = document.createElement('div');
+      divider.className = CLASS_DIVIDER;
+      container.appendChild(divider);
+    }
+    divider.textContent = `Other languages (${count})`;
+    container.classList.add(CLASS_PRIORITIZED);
+  }
+
+  /**
+   * One capturing listener for all dimmed comments, so re-applying filters
+   * never stacks handlers. The revealing click doesn't reach links or buttons
+   * in the comment.
+   */
+  function setupDimReveal() {
+    document.addEventListener('click', (e) => {
+      const dimmed = e.target.closest?.(`.${CLASS_DIMMED}:not(.${CLASS_REVEALED})`);
+      if (!dimmed) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      dimmed.classList.add(CLASS_REVEALED);
+    }, true);
+  }
+
   function applyCollapseMode(commentElement, renderer, detection) {
     commentElement.classList.add(CLASS_COLLAPSED);
 
-    const contentContainer = renderer.querySelector('#main, #body');
+    const contentContainer = getContentContainer(renderer);
     if (!contentContainer) return;
 
     if (!originalContent.has(commentElement)) {
@@ -499,18 +1928,28 @@
     const langDisplay = detection.isUnknown ? 'unknown' : detection.lang.toUpperCase();
     const placeholder = document.createElement('div');
     placeholder.className = CLASS_PLACEHOLDER;
+    if (isChatMessage(renderer)) {
+      placeholder.classList.add(CLASS_PLACEHOLDER_COMPACT);
+    }
     placeholder.innerHTML = `
       <span class="ylf-placeholder-text">Hidden (language: ${langDisplay})</span>
       <button class="ylf-show-btn">Show</button>
     `;
 
     const showBtn = placeholder.querySelector('.ylf-show-btn');
+    if (!isChatMessage(renderer) && commentSources.has(renderer)) {
+      placeholder.insertBefore(createCorrectionControl(renderer), showBtn);
+    }
     showBtn.addEventListener('click', (e) => {
       e.stopPropagation();
       toggleCollapse(commentElement, contentContainer, placeholder, detection);
     });
 
     renderer.insertBefore(placeholder, renderer.firstChild);
+
+    if (isThread(commentElement)) {
+      scheduleGroupUpdate(commentElement.parentElement);
+    }
   }
 
   function toggleCollapse(commentElement, contentContainer, placeholder, detection) {
@@ -530,6 +1969,137 @@
       commentElement.classList.add(CLASS_COLLAPSED);
       commentElement.classList.remove('ylf-expanded');
     }
+
+    if (isThread(commentElement)) {
+      scheduleGroupUpdate(commentElement.parentElement);
+    }
+  }
+
+  // ===========================================
+  // COLLAPSED THREAD GROUPS
+  // ===========================================
+  /**
+   * In collapse mode, runs of consecutive collapsed threads are shown as one
+   * summary row ("12 comments hidden: JA 7, ES 5") instead of a wall of
+   * placeholders. Groups are recomputed from scratch per container, so
+   * threads appended by continuation loading simply join the last run.
+   */
+  const groupUpdateContainers = new Set();
+  let groupUpdateTimeout = null;
+
+  function scheduleGroupUpdate(container) {
+    if (!container) return;
+
+    groupUpdateContainers.add(container);
+    if (groupUpdateTimeout) clearTimeout(groupUpdateTimeout);
+    groupUpdateTimeout = setTimeout(() => {
+      groupUpdateTimeout = null;
+      const containers = [...groupUpdateContainers];
+      groupUpdateContainers.clear();
+      containers.filter(c => c.isConnected).forEach(updateCollapsedGroups);
+    }, GROUP_DEBOUNCE_MS);
+  }
+
+  function isGroupable(element) {
+    return isThread(element) &&
+           element.classList.contains(CLASS_COLLAPSED) &&
+           !revealedThreads.has(element);
+  }
+
+  function updateCollapsedGroups(container) {
+    container.querySelectorAll(':scope > .' + CLASS_GROUP_SUMMARY).forEach(row => row.remove());
+    container.querySelectorAll(':scope > .' + CLASS_GROUPED).forEach(el => el.classList.remove(CLASS_GROUPED));
+
+    const runs = [];
+    let run = [];
+    for (const child of container.children) {
+      if (isGroupable(child)) {
+        run.push(child);
+      } else if (!child.classList.contains(CLASS_HIDDEN)) {
+        // Hidden threads are invisible, so they don't break a run
+        runs.push(run);
+        run = [];
+      }
+    }
+    runs.push(run);
+
+    runs.filter(threads => threads.length >= GROUP_MIN_SIZE).forEach(threads => {
+      threads.forEach(thread => thread.classList.add(CLASS_GROUPED));
+      container.insertBefore(createGroupSummary(threads), threads[0]);
+    });
+  }
+
+  function getThreadLanguage(thread) {
+    const detection = commentDetections.get(getCommentRenderer(thread));
+    return !detection || detection.isUnknown ? 'unknown' : detection.lang;
+  }
+
+  function createGroupSummary(threads) {
+    const counts = {};
+    threads.forEach(thread => {
+      const lang = getThreadLanguage(thread);
+      counts[lang] = (counts[lang] || 0) + 1;
+    });
+    const langs = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    const label = lang => lang === 'unknown' ? 'unknown' : lang.toUpperCase();
+
+    const row = document.createElement('div');
+    row.className = `${CLASS_PLACEHOLDER} ${CLASS_GROUP_SUMMARY}`;
+
+    const text = document.createElement('span');
+    text.className = 'ylf-placeholder-text';
+    text.textContent = `${threads.length} comments hidden: ` +
+      langs.map(([lang, count]) => `${label(lang)} ${count}`).join(', ');
+    row.appendChild(text);
+
+    const actions = document.createElement('span');
+    actions.className = 'ylf-group-actions';
+
+    // Per-language buttons only make sense with more than one language
+    if (langs.length > 1) {
+      langs.forEach(([lang, count]) => {
+        const button = document.createElement('button');
+        button.className = 'ylf-show-btn ylf-show-btn-secondary';
+        button.textContent = `${label(lang)} (${count})`;
+        button.title = `Show the ${label(lang)} comments`;
+        button.addEventListener('click', (e) => {
+          e.stopPropagation();
+          revealThreads(threads.filter(thread => getThreadLanguage(thread) === lang));
+        });
+        actions.appendChild(button);
+      });
+    }
+
+    const showAll = document.createElement('button');
+    showAll.className = 'ylf-show-btn';
+    showAll.textContent = 'Show all';
+    showAll.addEventListener('click', (e) => {
+      e.stopPropagation();
+      revealThreads(threads);
+    });
+    actions.appendChild(showAll);
+
+    row.appendChild(actions);
+    return row;
+  }
+
+  // Expands the threads like their own "Show" button would
+  function revealThreads(threads) {
+    threads.forEach(thread => {
+      revealedThreads.add(thread);
+
+      const renderer = getCommentRenderer(thread);
+      const contentContainer = getContentContainer(renderer);
+      const placeholder = renderer.querySelector(':scope > .' + CLASS_PLACEHOLDER);
+      const detection = commentDetections.get(renderer);
+      if (contentContainer && placeholder && detection && contentContainer.style.display === 'none') {
+        toggleCollapse(thread, contentContainer, placeholder, detection);
+      }
+    });
+
+    if (threads.length > 0) {
+      updateCollapsedGroups(threads[0].parentElement);
+    }
   }
 
   // ===========================================
@@ -617,17 +2187,28 @@
       rootObserver.disconnect();
       rootObserver = null;
     }
-    if (processTimeout) {
-      clearTimeout(processTimeout);
-      processTimeout = null;
-    }
-    pendingComments = [];
+    clearQueue();
     isProcessing = false;
+    currentChannel = null;
+    channelPending = false;
+    resetStats();
+    resetTrackedState();
   }
 
   // ===========================================
   // URL CHANGE DETECTION (SPA NAVIGATION)
   // ===========================================
+  /**
+   * YouTube announces its own navigations with yt-navigate-finish and
+   * yt-page-data-updated; history-hook.js (page world) reports pushState and
+   * replaceState calls as HISTORY_CHANGE_EVENT. Each of them just triggers a
+   * URL comparison, so duplicates are harmless. Slow polling remains as a
+   * fallback for navigations none of them catch (e.g. when the hook script
+   * couldn't be injected).
+   */
+  const HISTORY_CHANGE_EVENT = 'ylf-history-change';
+  const NAVIGATION_EVENTS = ['yt-navigate-finish', 'yt-page-data-updated', HISTORY_CHANGE_EVENT];
+
   function setupUrlWatcher() {
     if (urlCheckInterval) {
       clearInterval(urlCheckInterval);
@@ -636,27 +2217,27 @@
     lastUrl = location.href;
     currentPageType = detectPageType();
 
-    urlCheckInterval = setInterval(() => {
-      const newUrl = location.href;
-
-      if (newUrl !== lastUrl) {
-        lastUrl = newUrl;
-        const newPageType = detectPageType();
-
-        // URL changed - invalidate old generation and start fresh
-        if (newPageType) {
-          setTimeout(() => {
-            resetObservers();
-            currentPageType = newPageType;
-            const gen = newGeneration();
-            setupRootObserver(gen);
-          }, 500);
-        } else {
-          resetObservers();
-          currentPageType = null;
-        }
-      }
-    }, URL_CHECK_INTERVAL_MS);
+    NAVIGATION_EVENTS.forEach(type => document.addEventListener(type, checkUrlChange));
+    window.addEventListener('popstate', checkUrlChange);
+    urlCheckInterval = setInterval(checkUrlChange, URL_FALLBACK_CHECK_MS);
+  }
+
+  function checkUrlChange() {
+    if (location.href === lastUrl) return;
+    lastUrl = location.href;
+
+    // URL changed - invalidate old generation and start fresh. YouTube
+    // reuses comment elements across pages, so their markers must go too.
+    resetObservers();
+    clearProcessedMarkers();
+    currentPageType = detectPageType();
+
+    // No fixed delay: setupRootObserver waits for the new page's comment
+    // root itself and processes whatever is already rendered in it
+    if (currentPageType) {
+      const gen = newGeneration();
+      setupRootObserver(gen);
+    }
   }
 
   // ===========================================
@@ -677,20 +2258,43 @@
     // Start new generation to invalidate any pending async operations
     const gen = newGeneration();
 
-    // Clear processed markers
+    clearProcessedMarkers();
+
+    // Detections stay cached: settings don't change what language a comment
+    // is in, and threshold changes invalidate entries via the detector version
+    currentChannel = null;
+    channelPending = false;
+    resetStats();
+    resetTrackedState();
+    processAllComments(gen);
+  }
+
+  /**
+   * Undoes filtering and removes processed markers and correction controls
+   * from every comment, so each one is processed again.
+   */
+  function clearProcessedMarkers() {
     const processed = document.querySelectorAll('.' + CLASS_PROCESSED);
     processed.forEach(el => {
       el.classList.remove(CLASS_PROCESSED);
       el.removeAttribute(DATA_PROCESSED);
+      threadFilterTargets.delete(el);
 
-      const renderer = el.tagName.toLowerCase() === 'ytd-comment-thread-renderer'
-        ? el.querySelector('ytd-comment-renderer') || el
-        : el;
-      resetFilter(el, renderer);
+      resetFilter(el, getCommentRenderer(el));
     });
 
-    langCache.clear();
-    processAllComments(gen);
+    document.querySelectorAll('#header-author > .' + CLASS_LANG_TAG).forEach(tag => tag.remove());
+    document.querySelectorAll('span.' + CLASS_LANG_BADGE).forEach(badge => badge.remove());
+    document.querySelectorAll('.' + CLASS_DEBUG).forEach(overlay => overlay.remove());
+
+    // Threads YouTube removed while deprioritized or grouped leave their container behind
+    document.querySelectorAll('.' + CLASS_DIVIDER).forEach(divider => divider.remove());
+    document.querySelectorAll('.' + CLASS_GROUP_SUMMARY).forEach(row => row.remove());
+    document.querySelectorAll('.' + CLASS_GROUPED).forEach(el => el.classList.remove(CLASS_GROUPED));
+    revealedThreads = new WeakSet();
+    document.querySelectorAll('.' + CLASS_PRIORITIZED).forEach(container => {
+      container.classList.remove(CLASS_PRIORITIZED);
+    });
   }
 
   // ===========================================
@@ -707,10 +2311,21 @@
       return true;
     }
 
-    if (message.type === 'SETTINGS_UPDATED') {
-      settings = { ...DEFAULT_SETTINGS, ...message.settings };
-      reprocessAllComments();
-      sendResponse({ success: true });
+    if (message.type === 'GET_STATS') {
+      sendResponse({
+        stats: pageStats,
+        enabled: settings.enabled
+      });
+      return true;
+    }
+
+    if (message.type === 'GET_DIAGNOSTICS') {
+      sendResponse({ report: buildDiagnosticsReport() });
+      return true;
+    }
+
+    if (message.type === 'GET_CHANNEL') {
+      sendResponse({ channel: getCurrentChannel() });
       return true;
     }
 
@@ -723,6 +2338,34 @@
     return false;
   }
 
+  // ===========================================
+  // STORAGE SYNC
+  // ===========================================
+  /**
+   * Settings and corrections are only ever changed through chrome.storage,
+   * so every tab and frame - whichever one made the change - re-applies
+   * filters from here.
+   */
+  function handleStorageChange(changes, areaName) {
+    if (areaName !== 'local') return;
+
+    let changed = false;
+
+    if (changes.settings) {
+      settings = sanitizeSettings(changes.settings.newValue);
+      changed = true;
+    }
+
+    if (changes.corrections) {
+      corrections = { byId: {}, byText: {}, ...changes.corrections.newValue };
+      changed = true;
+    }
+
+    if (changed && currentPageType) {
+      reprocessAllComments();
+    }
+  }
+
   // ===========================================
   // INITIALIZATION
   // ===========================================
@@ -732,7 +2375,7 @@
     try {
       const result = await chrome.storage.local.get('settings');
       if (result.settings) {
-        settings = { ...DEFAULT_SETTINGS, ...result.settings };
+        settings = sanitizeSettings(result.settings);
       }
     } catch (error) {
       // Context may be invalid - ignore
@@ -744,14 +2387,23 @@
     isInitialized = true;
 
     await loadSettings();
+    await loadCorrections();
 
-    // Set up message listener
+    // Set up message and storage listeners
     if (isRuntimeValid()) {
       chrome.runtime.onMessage.addListener(handleMessage);
+      chrome.storage.onChanged.addListener(handleStorageChange);
     }
 
     // Set up URL watcher for SPA navigation
     setupUrlWatcher();
+    setupDimReveal();
+
+    // Frame removed or page left; restored from the back/forward cache
+    window.addEventListener('pagehide', reportFrameRemoved);
+    window.addEventListener('pageshow', (e) => {
+      if (e.persisted) scheduleCountsReport();
+    });
 
     // Set up observers for current page
     const pageType = detectPageType();
@@ -759,6 +2411,9 @@
       currentPageType = pageType;
       const gen = newGeneration();
       setupRootObserver(gen);
+
+      // Initial badge state (e.g. "OFF" when filtering is disabled)
+      scheduleCountsReport();
     }
   }
 
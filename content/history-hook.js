@@ -0,0 +1,22 @@
+// YouTube Language Filter - History Hook
+// Runs in the page's own JavaScript world: content scripts live in an isolated
+// world and can't see YouTube calling history.pushState/replaceState.
+// Announces those calls to content.js with a DOM event (see HISTORY_CHANGE_EVENT).
+(function() {
+  'use strict';
+
+  // Injected again by the popup when content scripts were missing
+  if (window.__ylfHistoryHooked) return;
+  window.__ylfHistoryHooked = true;
+
+  const HISTORY_CHANGE_EVENT = 'ylf-history-change';
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+    history[method] = function(...args) {
+      const result = original.apply(this, args);
+      document.dispatchEvent(new CustomEvent(HISTORY_CHANGE_EVENT));
+      return result;
+    };
+  });
+})();
@@ -0,0 +1,238 @@
+// YouTube Language Filter - Options Page
+// Full language list with search, pinned favorites and language groups.
+// Edits settings.allowedLangs and settings.pinnedLangs, writing every other
+// setting back unchanged, and imports configuration files (which replace all
+// settings).
+
+const { sanitizeSettings, parseConfig } = YLFConfig;
+
+// Current values, mirrored from chrome.storage.local
+let allowedLangs = sanitizeSettings(null).allowedLangs;
+let pinnedLangs = [];
+
+// DOM elements
+let groupList;
+let pinnedList;
+let pinnedEmpty;
+let languageTable;
+let searchInput;
+let noResults;
+let statusEl;
+let importFileInput;
+
+// ===========================================
+// INITIALIZATION
+// ===========================================
+
+document.addEventListener('DOMContentLoaded', async () => {
+  // Cache DOM elements
+  groupList = document.getElementById('groupList');
+  pinnedList = document.getElementById('pinnedList');
+  pinnedEmpty = document.getElementById('pinnedEmpty');
+  languageTable = document.getElementById('languageTable');
+  searchInput = document.getElementById('languageSearch');
+  noResults = document.getElementById('noResults');
+  statusEl = document.getElementById('status');
+  importFileInput = document.getElementById('importFile');
+
+  await loadSettings();
+  render();
+  setupEventListeners();
+});
+
+async function loadSettings() {
+  try {
+    const result = await chrome.storage.local.get('settings');
+    applyStoredSettings(result.settings);
+  } catch (error) {
+    console.error('Failed to load settings:', error);
+    showStatus('Failed to load settings', 'error');
+  }
+}
+
+function applyStoredSettings(stored) {
+  const settings = sanitizeSettings(stored);
+  allowedLangs = settings.allowedLangs;
+  pinnedLangs = settings.pinnedLangs;
+}
+
+function setupEventListeners() {
+  searchInput.addEventListener('input', renderLanguageTable);
+
+  // Checkboxes and pin buttons in both lists
+  document.addEventListener('change', (e) => {
+    if (e.target.matches('input[data-lang]')) {
+      const code = e.target.dataset.lang;
+      const checked = e.target.checked;
+      updateSettings(settings => {
+        const others = settings.allowedLangs.filter(lang => lang !== code);
+        settings.allowedLangs = checked ? [...others, code] : others;
+      });
+    }
+  });
+
+  document.addEventListener('click', (e) => {
+    if (e.target.matches('.pin-btn')) {
+      const code = e.target.dataset.lang;
+      updateSettings(settings => {
+        settings.pinnedLangs = settings.pinnedLangs.includes(code)
+          ? settings.pinnedLangs.filter(lang => lang !== code)
+          : [...settings.pinnedLangs, code];
+      });
+    }
+  });
+
+  groupList.addEventListener('click', (e) => {
+    if (e.target.matches('.group-btn')) {
+      toggleGroup(LANGUAGE_GROUPS.find(group => group.id === e.target.dataset.group));
+    }
+  });
+
+  document.getElementById('importBtn').addEventListener('click', () => importFileInput.click());
+  importFileInput.addEventListener('change', () => {
+    if (importFileInput.files[0]) {
+      importConfig(importFileInput.files[0]);
+    }
+    importFileInput.value = '';
+  });
+
+  // Changes made in the popup (or synced from another device)
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.settings) {
+      applyStoredSettings(changes.settings.newValue);
+      render();
+    }
+  });
+}
+
+// ===========================================
+// SAVING
+// ===========================================
+
+/**
+ * Read-modify-write against storage, so settings changed in the popup
+ * while this page is open aren't overwritten with stale values.
+ */
+async function updateSettings(mutate) {
+  try {
+    const result = await chrome.storage.local.get('settings');
+    const settings = sanitizeSettings(result.settings);
+    mutate(settings);
+
+    // Stamped for settings sync (see background/service-worker.js)
+    settings.updatedAt = Math.max(Date.now(), settings.updatedAt + 1);
+    await chrome.storage.local.set({ settings });
+
+    applyStoredSettings(settings);
+    render();
+    showStatus('Settings saved', 'success');
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+    showStatus('Failed to save settings', 'error');
+  }
+}
+
+/**
+ * Replaces all settings with a configuration file exported from the popup.
+ * Every open YouTube tab picks it up through chrome.storage.onChanged.
+ */
+async function importConfig(file) {
+  try {
+    const imported = parseConfig(await file.text());
+    const result = await chrome.storage.local.get('settings');
+    const previousStamp = (result.settings && result.settings.updatedAt) || 0;
+
+    // Stamped for settings sync (see background/service-worker.js)
+    const settings = { ...imported, updatedAt: Math.max(Date.now(), previousStamp + 1) };
+    await chrome.storage.local.set({ settings });
+
+    applyStoredSettings(settings);
+    render();
+    showStatus('Configuration imported', 'success');
+  } catch (error) {
+    showStatus(error.message || 'Failed to import configuration', 'error');
+  }
+}
+
+/**
+ * Allows every language of the group, or removes them all when the whole
+ * group is already allowed.
+ */
+function toggleGroup(group) {
+  if (!group) return;
+
+  const allAllowed = group.langs.every(code => allowedLangs.includes(code));
+  updateSettings(settings => {
+    const others = settings.allowedLangs.filter(code => !group.langs.includes(code));
+    settings.allowedLangs = allAllowed ? others : [...others, ...group.langs];
+  });
+}
+
+// ===========================================
+// RENDERING
+// ===========================================
+
+function render() {
+  renderGroups();
+  renderPinned();
+  renderLanguageTable();
+}
+
+function renderGroups() {
+  groupList.innerHTML = LANGUAGE_GROUPS.map(group => {
+    const allowedCount = group.langs.filter(code => allowedLangs.includes(code)).length;
+    const state = allowedCount === group.langs.length ? 'active' : (allowedCount > 0 ? 'partial' : '');
+    const names = group.langs.map(code => getLanguage(code).name).join(', ');
+    return `
+      <button class="group-btn ${state}" data-group="${group.id}" title="${names}">
+        ${group.name} (${allowedCount}/${group.langs.length})
+      </button>
+    `;
+  }).join('');
+}
+
+function renderPinned() {
+  pinnedList.innerHTML = pinnedLangs.map(getLanguage).map(renderLanguageRow).join('');
+  pinnedEmpty.hidden = pinnedLangs.length > 0;
+}
+
+function renderLanguageTable() {
+  const query = searchInput.value.trim().toLowerCase();
+  const matches = LANGUAGES
+    .filter(lang => !query ||
+      lang.code.includes(query) ||
+      lang.name.toLowerCase().includes(query) ||
+      lang.native.toLowerCase().includes(query))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  languageTable.innerHTML = matches.map(renderLanguageRow).join('');
+  noResults.hidden = matches.length > 0;
+}
+
+function renderLanguageRow(lang) {
+  const checked = allowedLangs.includes(lang.code) ? 'checked' : '';
+  const pinned = pinnedLangs.includes(lang.code);
+  return `
+    <li class="language-row">
+      <label>
+        <input type="checkbox" data-lang="${lang.code}" ${checked}>
+        <span class="language-name">${lang.name}</span>
+        <span class="language-native" lang="${lang.code}">${lang.native}</span>
+        <span class="language-code">${lang.code}</span>
+      </label>
+      <button class="pin-btn ${pinned ? 'pinned' : ''}" data-lang="${lang.code}"
+              title="${pinned ? 'Unpin' : 'Pin to the popup'}">${pinned ? '★' : '☆'}</button>
+    </li>
+  `;
+}
+
+function showStatus(message, type = '') {
+  statusEl.textContent = message;
+  statusEl.className = 'status ' + type;
+
+  // Clear after 3 seconds
+  setTimeout(() => {
+    statusEl.textContent = '';
+    statusEl.className = 'status';
+  }, 3000);
+}
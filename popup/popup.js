@@ -1,41 +1,64 @@
-// Preset languages with ISO codes
-const LANGUAGES = [
-  { code: 'en', name: 'English' },
-  { code: 'ko', name: 'Korean' },
-  { code: 'ja', name: 'Japanese' },
-  { code: 'zh', name: 'Chinese' },
-  { code: 'es', name: 'Spanish' },
-  { code: 'fr', name: 'French' },
-  { code: 'de', name: 'German' },
-  { code: 'pt', name: 'Portuguese' },
-  { code: 'ru', name: 'Russian' },
-  { code: 'hi', name: 'Hindi' },
-  { code: 'ar', name: 'Arabic' },
-  { code: 'it', name: 'Italian' },
-  { code: 'th', name: 'Thai' },
-  { code: 'vi', name: 'Vietnamese' },
-  { code: 'id', name: 'Indonesian' },
-  { code: 'tr', name: 'Turkish' }
-];
+// LANGUAGES, QUICK_SELECT_LANGS and getLanguage come from shared/languages.js
+const { DEFAULT_SETTINGS, CONFIG_FORMAT, CONFIG_VERSION, sanitizeSettings } = YLFConfig;
 
-// Default settings
-const DEFAULT_SETTINGS = {
-  enabled: true,
-  allowedLangs: ['en'],
-  mode: 'hide',
-  hideUnknown: false
+const TEXT_RULE_ACTIONS = {
+  hide: 'Hide',
+  collapse: 'Collapse',
+  show: 'Always show'
 };
 
+// Strictness slider positions and the thresholds each one applies.
+// Editing an advanced field switches strictness to 'custom'.
+const STRICTNESS_PRESETS = [
+  {
+    id: 'lenient',
+    name: 'Lenient',
+    // Not 'high': the Han heuristic and the Latin classifier never reach it
+    thresholds: { chromeMinPercent: 60, chromeHighPercent: 85, scriptRatio: 40, filterConfidence: 'medium' }
+  },
+  {
+    id: 'balanced',
+    name: 'Balanced',
+    thresholds: { chromeMinPercent: 40, chromeHighPercent: 70, scriptRatio: 30, filterConfidence: 'medium' }
+  },
+  {
+    id: 'strict',
+    name: 'Strict',
+    thresholds: { chromeMinPercent: 25, chromeHighPercent: 55, scriptRatio: 20, filterConfidence: 'low' }
+  }
+];
+
+// How often the statistics dashboard is refreshed while the popup is open
+const STATS_REFRESH_MS = 1000;
+
+// chrome.storage.session key of the service worker's per-frame counts
+const TAB_COUNTS_KEY = 'tabCounts';
+
 // DOM elements
 let enableToggle;
 let languageList;
 let modeRadios;
 let hideUnknownCheckbox;
+let mixedShareSlider;
+let mixedShareValue;
+let strictnessSlider;
+let strictnessValue;
 let rescanBtn;
 let statusEl;
+let channelSection;
+let channelInfoEl;
+let saveProfileBtn;
+let removeProfileBtn;
+let statsSection;
+let syncCheckbox;
+let syncStatusEl;
+let debugCheckbox;
 
 // Current settings
-let settings = { ...DEFAULT_SETTINGS };
+let settings = sanitizeSettings(null);
+
+// Channel of the active tab, as reported by the content script
+let currentChannel = null;
 
 // ===========================================
 // CONTENT SCRIPT COMMUNICATION HELPERS
@@ -71,13 +94,19 @@ async function pingContentScript(tabId) {
 async function injectContentScript(tabId) {
   try {
     await chrome.scripting.executeScript({
-      target: { tabId },
-      files: ['content/content.js']
+      target: { tabId, allFrames: true },
+      files: ['shared/config.js', 'shared/detector.js', 'content/content.js']
     });
     await chrome.scripting.insertCSS({
-      target: { tabId },
+      target: { tabId, allFrames: true },
       files: ['content/content.css']
     });
+    // Page-world navigation hook (top frame only - the chat iframe doesn't navigate)
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['content/history-hook.js'],
+      world: 'MAIN'
+    });
     // Small delay to let the script initialize
     await new Promise(resolve => setTimeout(resolve, 200));
     return true;
@@ -121,6 +150,8 @@ async function sendCommand(tabId, message) {
   // Ensure content script is present
   const ready = await ensureContentScript(tabId);
   if (!ready) {
+    // Let the service worker flag the tab on the toolbar badge
+    chrome.runtime.sendMessage({ type: 'CONNECTION_LOST', tabId }).catch(() => {});
     return {
       success: false,
       error: 'Cannot connect to this page. Please refresh the tab.'
@@ -140,6 +171,38 @@ async function sendCommand(tabId, message) {
   }
 }
 
+/**
+ * Frames of the tab running a content script: the top frame plus every
+ * frame that reported counts to the service worker (the live chat iframe).
+ *
+ * @param {number} tabId
+ * @returns {Promise<number[]>}
+ */
+async function getContentFrameIds(tabId) {
+  // Per-tab counts kept by background/service-worker.js
+  const result = await chrome.storage.session.get(TAB_COUNTS_KEY);
+  const tabState = result[TAB_COUNTS_KEY] && result[TAB_COUNTS_KEY][tabId];
+  const reported = tabState ? Object.keys(tabState.frames).map(Number) : [];
+  return [...new Set([0, ...reported])];
+}
+
+/**
+ * Sends a message to the content script of every frame.
+ *
+ * @param {number} tabId
+ * @param {object} message
+ * @returns {Promise<Array<{frameId: number, response: any}>>} Frames that answered
+ */
+async function sendToAllFrames(tabId, message) {
+  const frameIds = await getContentFrameIds(tabId);
+  const responses = await Promise.all(frameIds.map(frameId =>
+    chrome.tabs.sendMessage(tabId, message, { frameId })
+      .then(response => response && { frameId, response })
+      .catch(() => null)
+  ));
+  return responses.filter(Boolean);
+}
+
 // ===========================================
 // INITIALIZATION
 // ===========================================
@@ -149,25 +212,49 @@ document.addEventListener('DOMContentLoaded', async () => {
   enableToggle = document.getElementById('enableToggle');
   languageList = document.getElementById('languageList');
   hideUnknownCheckbox = document.getElementById('hideUnknown');
+  mixedShareSlider = document.getElementById('mixedMinShare');
+  mixedShareValue = document.getElementById('mixedMinShareValue');
+  strictnessSlider = document.getElementById('strictness');
+  strictnessValue = document.getElementById('strictnessValue');
   rescanBtn = document.getElementById('rescanBtn');
   statusEl = document.getElementById('status');
-
-  // Build language checkboxes
-  buildLanguageList();
+  channelSection = document.getElementById('channelSection');
+  channelInfoEl = document.getElementById('channelInfo');
+  saveProfileBtn = document.getElementById('saveProfileBtn');
+  removeProfileBtn = document.getElementById('removeProfileBtn');
+  statsSection = document.getElementById('statsSection');
+  syncCheckbox = document.getElementById('syncEnabled');
+  syncStatusEl = document.getElementById('syncStatus');
+  debugCheckbox = document.getElementById('debugMode');
 
   // Load settings
   await loadSettings();
+  await loadSyncState();
+
+  // Find out which channel the active tab is showing
+  await loadCurrentChannel();
 
   // Apply settings to UI
   applySettingsToUI();
 
   // Set up event listeners
   setupEventListeners();
+
+  // Start the live statistics dashboard
+  startStatsUpdates();
 });
 
-function buildLanguageList() {
-  languageList.innerHTML = LANGUAGES.map(lang => `
-    <label class="language-item">
+/**
+ * Quick-select list: pinned favorites (or a short default list) plus any
+ * other allowed language, so every allowed language can be unchecked here.
+ * The options page has the full list.
+ */
+function buildLanguageList(target) {
+  const quick = settings.pinnedLangs.length > 0 ? settings.pinnedLangs : QUICK_SELECT_LANGS;
+  const codes = [...new Set([...quick, ...target.allowedLangs])];
+
+  languageList.innerHTML = codes.map(getLanguage).map(lang => `
+    <label class="language-item" title="${lang.native}">
       <input type="checkbox" value="${lang.code}" data-lang="${lang.code}">
       <span>${lang.name}</span>
     </label>
@@ -178,7 +265,7 @@ async function loadSettings() {
   try {
     const result = await chrome.storage.local.get('settings');
     if (result.settings) {
-      settings = { ...DEFAULT_SETTINGS, ...result.settings };
+      settings = sanitizeSettings(result.settings);
     }
   } catch (error) {
     console.error('Failed to load settings:', error);
@@ -186,24 +273,151 @@ async function loadSettings() {
   }
 }
 
+/**
+ * Asks the content script of the active tab which channel it is showing.
+ * Doesn't inject the script - the channel section simply stays hidden.
+ */
+async function loadCurrentChannel() {
+  try {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tabs[0] || !isSupportedUrl(tabs[0].url)) return;
+
+    // Ask the top frame only - the live chat iframe runs its own content script
+    const response = await chrome.tabs.sendMessage(tabs[0].id, { type: 'GET_CHANNEL' }, { frameId: 0 });
+    currentChannel = response?.channel || null;
+  } catch (error) {
+    // Content script not present - no channel info
+    currentChannel = null;
+  }
+}
+
+/**
+ * Pages whose comments the content script filters: videos, Shorts,
+ * Community posts and channel Posts tabs.
+ */
+function isSupportedUrl(url) {
+  if (!url) return false;
+  if (url.includes('youtube.com/watch') || url.includes('youtube.com/shorts')) return true;
+
+  try {
+    const { hostname, pathname } = new URL(url);
+    return hostname.endsWith('youtube.com') &&
+      (pathname.startsWith('/post/') || /\/(community|posts)\/?$/.test(pathname));
+  } catch (error) {
+    return false;
+  }
+}
+
+// ===========================================
+// CHANNEL PROFILES
+// ===========================================
+
+function getChannelKey(channel) {
+  return channel.id || channel.handle;
+}
+
+function getActiveProfile() {
+  if (!currentChannel) return null;
+
+  const profiles = settings.channelProfiles || {};
+  return (currentChannel.id && profiles[currentChannel.id]) ||
+         (currentChannel.handle && profiles[currentChannel.handle]) ||
+         null;
+}
+
+/**
+ * Language, mode and unknown-handling controls edit the channel profile
+ * when one exists for the current channel, and the global settings otherwise.
+ */
+function getEditTarget() {
+  return getActiveProfile() || settings;
+}
+
+function saveChannelProfile() {
+  if (!currentChannel) return;
+
+  settings.channelProfiles = {
+    ...settings.channelProfiles,
+    [getChannelKey(currentChannel)]: {
+      name: currentChannel.name,
+      id: currentChannel.id,
+      handle: currentChannel.handle,
+      allowedLangs: [...settings.allowedLangs],
+      mode: settings.mode,
+      hideUnknown: settings.hideUnknown
+    }
+  };
+
+  applySettingsToUI();
+  saveAndNotify();
+}
+
+function removeChannelProfile() {
+  if (!currentChannel) return;
+
+  const profiles = { ...settings.channelProfiles };
+  if (currentChannel.id) delete profiles[currentChannel.id];
+  if (currentChannel.handle) delete profiles[currentChannel.handle];
+  settings.channelProfiles = profiles;
+
+  applySettingsToUI();
+  saveAndNotify();
+}
+
 function applySettingsToUI() {
+  const target = getEditTarget();
+
   // Enable toggle
   enableToggle.checked = settings.enabled;
 
   // Language checkboxes
+  buildLanguageList(target);
   const langCheckboxes = languageList.querySelectorAll('input[type="checkbox"]');
   langCheckboxes.forEach(checkbox => {
-    checkbox.checked = settings.allowedLangs.includes(checkbox.value);
+    checkbox.checked = target.allowedLangs.includes(checkbox.value);
   });
 
   // Mode radios
-  const modeRadio = document.querySelector(`input[name="mode"][value="${settings.mode}"]`);
+  const modeRadio = document.querySelector(`input[name="mode"][value="${target.mode}"]`);
   if (modeRadio) {
     modeRadio.checked = true;
   }
 
   // Hide unknown checkbox
-  hideUnknownCheckbox.checked = settings.hideUnknown;
+  hideUnknownCheckbox.checked = target.hideUnknown;
+
+  // Mixed-language share slider
+  mixedShareSlider.value = settings.mixedMinShare;
+  renderMixedShareValue();
+
+  // Strictness slider and advanced thresholds
+  applyThresholdsToUI();
+
+  // Author allow/block lists
+  renderAuthorLists();
+
+  // Keyword/regex rules
+  renderTextRules();
+
+  // Thread policy radios
+  const threadRadio = document.querySelector(`input[name="threadPolicy"][value="${settings.threadPolicy}"]`);
+  if (threadRadio) {
+    threadRadio.checked = true;
+  }
+
+  // Debug overlay
+  debugCheckbox.checked = settings.debug;
+
+  // Channel profile section
+  channelSection.hidden = !currentChannel;
+  if (currentChannel) {
+    const hasProfile = !!getActiveProfile();
+    channelInfoEl.textContent = hasProfile
+      ? `Editing the profile for ${currentChannel.name}`
+      : `Using global settings on ${currentChannel.name}`;
+    saveProfileBtn.hidden = hasProfile;
+    removeProfileBtn.hidden = !hasProfile;
+  }
 }
 
 function setupEventListeners() {
@@ -216,13 +430,14 @@ function setupEventListeners() {
   // Language checkboxes
   languageList.addEventListener('change', (e) => {
     if (e.target.matches('input[type="checkbox"]')) {
+      const target = getEditTarget();
       const langCode = e.target.value;
       if (e.target.checked) {
-        if (!settings.allowedLangs.includes(langCode)) {
-          settings.allowedLangs.push(langCode);
+        if (!target.allowedLangs.includes(langCode)) {
+          target.allowedLangs.push(langCode);
         }
       } else {
-        settings.allowedLangs = settings.allowedLangs.filter(l => l !== langCode);
+        target.allowedLangs = target.allowedLangs.filter(l => l !== langCode);
       }
       saveAndNotify();
     }
@@ -231,38 +446,422 @@ function setupEventListeners() {
   // Mode radios
   document.querySelectorAll('input[name="mode"]').forEach(radio => {
     radio.addEventListener('change', () => {
-      settings.mode = radio.value;
+      getEditTarget().mode = radio.value;
       saveAndNotify();
     });
   });
 
   // Hide unknown checkbox
   hideUnknownCheckbox.addEventListener('change', () => {
-    settings.hideUnknown = hideUnknownCheckbox.checked;
+    getEditTarget().hideUnknown = hideUnknownCheckbox.checked;
     saveAndNotify();
   });
 
+  // Mixed-language share slider - label follows the thumb, save on release
+  mixedShareSlider.addEventListener('input', renderMixedShareValue);
+  mixedShareSlider.addEventListener('change', () => {
+    settings.mixedMinShare = Number(mixedShareSlider.value);
+    saveAndNotify();
+  });
+
+  // Strictness slider - applies a preset's thresholds
+  strictnessSlider.addEventListener('input', () => {
+    strictnessValue.textContent = STRICTNESS_PRESETS[strictnessSlider.value].name;
+  });
+  strictnessSlider.addEventListener('change', () => {
+    const preset = STRICTNESS_PRESETS[strictnessSlider.value];
+    settings.strictness = preset.id;
+    settings.thresholds = { ...preset.thresholds };
+    applyThresholdsToUI();
+    saveAndNotify();
+  });
+
+  // Advanced threshold fields
+  document.querySelectorAll('[data-threshold]').forEach(field => {
+    field.addEventListener('change', () => {
+      updateThreshold(field);
+      applyThresholdsToUI();
+      saveAndNotify();
+    });
+  });
+
+  // Author lists - add via button or Enter, remove via the entry's × button
+  document.querySelectorAll('.author-rules').forEach(container => {
+    const list = container.dataset.list;
+    const input = container.querySelector('input');
+    const add = () => {
+      addAuthorRule(list, input.value);
+      input.value = '';
+    };
+    container.querySelector('.add-btn').addEventListener('click', add);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') add();
+    });
+    container.querySelector('.tag-list').addEventListener('click', (e) => {
+      if (e.target.matches('.tag-remove')) {
+        removeAuthorRule(list, e.target.dataset.entry);
+      }
+    });
+  });
+
+  // Text rules - add via button or Enter, remove via the rule's × button
+  const ruleInput = document.getElementById('textRulePattern');
+  const addRule = () => {
+    if (addTextRule(ruleInput.value)) {
+      ruleInput.value = '';
+    }
+  };
+  document.getElementById('addTextRuleBtn').addEventListener('click', addRule);
+  ruleInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addRule();
+  });
+  document.getElementById('textRuleList').addEventListener('click', (e) => {
+    if (e.target.matches('.tag-remove')) {
+      removeTextRule(Number(e.target.dataset.index));
+    }
+  });
+
+  // Thread policy radios
+  document.querySelectorAll('input[name="threadPolicy"]').forEach(radio => {
+    radio.addEventListener('change', () => {
+      settings.threadPolicy = radio.value;
+      saveAndNotify();
+    });
+  });
+
+  // Channel profile buttons
+  saveProfileBtn.addEventListener('click', saveChannelProfile);
+  removeProfileBtn.addEventListener('click', removeChannelProfile);
+
+  // Sync and backup
+  syncCheckbox.addEventListener('change', () => setSyncEnabled(syncCheckbox.checked));
+  document.getElementById('exportBtn').addEventListener('click', exportConfig);
+  // The popup closes when a file dialog opens, so files are imported on the options page
+  document.getElementById('importBtn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('options/options.html#backup') });
+  });
+
+  // Diagnostics
+  debugCheckbox.addEventListener('change', () => {
+    settings.debug = debugCheckbox.checked;
+    saveAndNotify();
+  });
+  document.getElementById('diagnosticsBtn').addEventListener('click', exportDiagnostics);
+
+  // Settings changed elsewhere (synced from another device, author rules set on the page)
+  chrome.storage.onChanged.addListener(handleStorageChange);
+
+  // Full language list
+  document.getElementById('moreLanguagesLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
   // Rescan button
   rescanBtn.addEventListener('click', rescanCurrentPage);
 }
 
+// ===========================================
+// SYNC AND BACKUP
+// ===========================================
+
+async function loadSyncState() {
+  try {
+    const result = await chrome.storage.local.get(['syncEnabled', 'syncState']);
+    syncCheckbox.checked = !!result.syncEnabled;
+    renderSyncStatus(result.syncState);
+  } catch (error) {
+    console.error('Failed to load sync state:', error);
+  }
+}
+
+/**
+ * The flag is per device; the service worker does the actual syncing
+ * when it changes.
+ */
+async function setSyncEnabled(enabled) {
+  try {
+    await chrome.storage.local.set({ syncEnabled: enabled });
+    renderSyncStatus(null);
+  } catch (error) {
+    console.error('Failed to change sync:', error);
+    showStatus('Failed to change sync', 'error');
+  }
+}
+
+function renderSyncStatus(syncState) {
+  if (!syncCheckbox.checked) {
+    syncStatusEl.textContent = 'Settings are stored on this device only';
+  } else if (syncState && syncState.error) {
+    syncStatusEl.textContent = `Sync failed: ${syncState.error}`;
+  } else if (syncState && syncState.syncedAt) {
+    syncStatusEl.textContent = 'Synced with your Chrome profile';
+  } else {
+    syncStatusEl.textContent = 'Syncing…';
+  }
+}
+
+function handleStorageChange(changes, areaName) {
+  if (areaName !== 'local') return;
+
+  // Our own saves carry the same stamp - only re-render for outside changes
+  const newSettings = changes.settings && changes.settings.newValue;
+  if (newSettings && newSettings.updatedAt !== settings.updatedAt) {
+    settings = sanitizeSettings(newSettings);
+    applySettingsToUI();
+  }
+
+  if (changes.syncState) {
+    renderSyncStatus(changes.syncState.newValue);
+  }
+}
+
+function exportConfig() {
+  const config = {
+    format: CONFIG_FORMAT,
+    version: CONFIG_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings
+  };
+
+  downloadJson(`youtube-language-filter-${config.exportedAt.slice(0, 10)}.json`, config);
+}
+
+function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Downloads the active tab's diagnostics report. Comments are only
+ * traced while debug mode is on. Reports of other frames (the live chat
+ * iframe) are included under `frames`.
+ */
+async function exportDiagnostics() {
+  try {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tabs[0] || !isSupportedUrl(tabs[0].url)) {
+      showStatus('Open a YouTube page first', 'error');
+      return;
+    }
+
+    const ready = await ensureContentScript(tabs[0].id);
+    const frames = ready ? await sendToAllFrames(tabs[0].id, { type: 'GET_DIAGNOSTICS' }) : [];
+    const top = frames.find(frame => frame.frameId === 0);
+    if (!top || !top.response.report) {
+      showStatus('Cannot connect to this page. Please refresh the tab.', 'error');
+      return;
+    }
+
+    const report = {
+      ...top.response.report,
+      frames: frames
+        .filter(frame => frame.frameId !== 0 && frame.response.report)
+        .map(frame => frame.response.report)
+    };
+    const traced = report.comments.length +
+      report.frames.reduce((sum, frame) => sum + frame.comments.length, 0);
+    downloadJson(`ylf-diagnostics-${report.generatedAt.replace(/[:.]/g, '-')}.json`, report);
+    showStatus(traced > 0
+      ? `Exported ${traced} comments`
+      : 'Exported - turn on debug mode to trace comments', 'success');
+  } catch (error) {
+    console.error('Failed to export diagnostics:', error);
+    showStatus('Failed to export diagnostics', 'error');
+  }
+}
+
+// ===========================================
+// STRICTNESS
+// ===========================================
+
+function applyThresholdsToUI() {
+  const presetIndex = STRICTNESS_PRESETS.findIndex(p => p.id === settings.strictness);
+  if (presetIndex >= 0) {
+    strictnessSlider.value = presetIndex;
+    strictnessValue.textContent = STRICTNESS_PRESETS[presetIndex].name;
+  } else {
+    strictnessValue.textContent = 'Custom';
+  }
+
+  document.querySelectorAll('[data-threshold]').forEach(field => {
+    field.value = settings.thresholds[field.dataset.threshold];
+  });
+}
+
+/**
+ * Reads one advanced field into settings.thresholds, clamped to its
+ * min/max and keeping the Chrome "high" cutoff above the minimum.
+ */
+function updateThreshold(field) {
+  const key = field.dataset.threshold;
+  let value = field.value;
+
+  if (field.type === 'number') {
+    value = Number(value);
+    if (Number.isNaN(value)) value = DEFAULT_SETTINGS.thresholds[key];
+    value = Math.min(Number(field.max), Math.max(Number(field.min), Math.round(value)));
+  }
+
+  const thresholds = { ...settings.thresholds, [key]: value };
+  if (thresholds.chromeHighPercent < thresholds.chromeMinPercent) {
+    if (key === 'chromeMinPercent') {
+      thresholds.chromeHighPercent = thresholds.chromeMinPercent;
+    } else {
+      thresholds.chromeMinPercent = thresholds.chromeHighPercent;
+    }
+  }
+
+  settings.thresholds = thresholds;
+  settings.strictness = 'custom';
+}
+
+// ===========================================
+// AUTHOR RULES
+// ===========================================
+
+function renderAuthorLists() {
+  document.querySelectorAll('.author-rules').forEach(container => {
+    const listEl = container.querySelector('.tag-list');
+    listEl.textContent = '';
+
+    settings.authorRules[container.dataset.list].forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'tag';
+      item.textContent = entry;
+
+      const remove = document.createElement('button');
+      remove.className = 'tag-remove';
+      remove.dataset.entry = entry;
+      remove.title = 'Remove';
+      remove.textContent = '×';
+      item.appendChild(remove);
+
+      listEl.appendChild(item);
+    });
+  });
+}
+
+/**
+ * Adds an author to one list, removing it from the other.
+ */
+function addAuthorRule(list, value) {
+  const entry = value.trim();
+  if (!entry) return;
+
+  const other = list === 'allow' ? 'block' : 'allow';
+  const sameEntry = e => e.toLowerCase() === entry.toLowerCase();
+
+  settings.authorRules = {
+    [other]: settings.authorRules[other].filter(e => !sameEntry(e)),
+    [list]: [...settings.authorRules[list].filter(e => !sameEntry(e)), entry]
+  };
+
+  renderAuthorLists();
+  saveAndNotify();
+}
+
+function removeAuthorRule(list, entry) {
+  settings.authorRules = {
+    ...settings.authorRules,
+    [list]: settings.authorRules[list].filter(e => e !== entry)
+  };
+
+  renderAuthorLists();
+  saveAndNotify();
+}
+
+// ===========================================
+// TEXT RULES
+// ===========================================
+
+function renderTextRules() {
+  const listEl = document.getElementById('textRuleList');
+  listEl.textContent = '';
+
+  settings.textRules.forEach((rule, index) => {
+    const item = document.createElement('li');
+    item.className = 'rule';
+
+    const pattern = document.createElement('code');
+    pattern.className = 'rule-pattern';
+    pattern.textContent = rule.isRegex ? `/${rule.pattern}/` : rule.pattern;
+
+    const action = document.createElement('span');
+    action.className = 'rule-action';
+    action.textContent = TEXT_RULE_ACTIONS[rule.action];
+
+    const remove = document.createElement('button');
+    remove.className = 'tag-remove';
+    remove.dataset.index = index;
+    remove.title = 'Remove';
+    remove.textContent = '×';
+
+    item.append(pattern, action, remove);
+    listEl.appendChild(item);
+  });
+}
+
+/**
+ * @returns {boolean} false when the pattern was rejected
+ */
+function addTextRule(value) {
+  const pattern = value.trim();
+  if (!pattern) return false;
+
+  const isRegex = document.getElementById('textRuleRegex').checked;
+  const action = document.getElementById('textRuleAction').value;
+
+  if (isRegex) {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      showStatus('Invalid regular expression', 'error');
+      return false;
+    }
+  }
+
+  settings.textRules = [...settings.textRules, { pattern, isRegex, action }];
+
+  renderTextRules();
+  saveAndNotify();
+  return true;
+}
+
+function removeTextRule(index) {
+  settings.textRules = settings.textRules.filter((_, i) => i !== index);
+
+  renderTextRules();
+  saveAndNotify();
+}
+
+function renderMixedShareValue() {
+  const share = Number(mixedShareSlider.value);
+  mixedShareValue.textContent = share === 0 ? 'Off' : `${share}%`;
+}
+
 async function saveAndNotify() {
   try {
-    // Save to storage
+    // Every YouTube tab picks the change up through chrome.storage.onChanged.
+    // The stamp orders edits for settings sync.
+    settings.updatedAt = Math.max(Date.now(), settings.updatedAt + 1);
     await chrome.storage.local.set({ settings });
 
-    // Notify content script
+    // Only the status message depends on the active tab
     const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
     if (tabs[0] && tabs[0].url && tabs[0].url.includes('youtube.com')) {
-      const result = await sendCommand(tabs[0].id, {
-        type: 'SETTINGS_UPDATED',
-        settings
-      });
+      // Injecting a missing content script also applies the new settings
+      const ready = await ensureContentScript(tabs[0].id);
 
-      if (result.success) {
+      if (ready) {
         showStatus('Settings applied', 'success');
       } else {
-        // Settings saved but couldn't notify - that's OK
+        // Settings saved but this tab can't be reached - that's OK
         showStatus('Settings saved (reload page to apply)', 'success');
       }
     } else {
@@ -285,10 +884,9 @@ async function rescanCurrentPage() {
       return;
     }
 
-    // Check if it's a YouTube page (watch or shorts)
-    const url = tabs[0].url;
-    if (!url.includes('youtube.com/watch') && !url.includes('youtube.com/shorts')) {
-      showStatus('Not a YouTube video page', 'error');
+    // Check if it's a YouTube page with comments (watch, shorts or posts)
+    if (!isSupportedUrl(tabs[0].url)) {
+      showStatus('Not a YouTube video or post page', 'error');
       return;
     }
 
@@ -307,6 +905,97 @@ async function rescanCurrentPage() {
   }
 }
 
+// ===========================================
+// PAGE STATISTICS
+// ===========================================
+
+function startStatsUpdates() {
+  refreshStats();
+  // The interval dies with the popup, no cleanup needed
+  setInterval(refreshStats, STATS_REFRESH_MS);
+}
+
+/**
+ * Fetches the per-page counters from the active tab's content script.
+ * The dashboard stays hidden when the page isn't filtered.
+ */
+async function refreshStats() {
+  try {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tabs[0] || !isSupportedUrl(tabs[0].url)) {
+      statsSection.hidden = true;
+      return;
+    }
+
+    // The page and the live chat iframe count separately
+    const frames = await sendToAllFrames(tabs[0].id, { type: 'GET_STATS' });
+    const stats = frames.map(frame => frame.response.stats).filter(Boolean);
+    if (stats.length === 0) {
+      statsSection.hidden = true;
+      return;
+    }
+
+    renderStats(mergeStats(stats));
+    statsSection.hidden = false;
+  } catch (error) {
+    // Content script not present yet
+    statsSection.hidden = true;
+  }
+}
+
+/**
+ * Adds up the statistics of several frames.
+ */
+function mergeStats(frameStats) {
+  const total = {
+    processed: 0,
+    shown: 0,
+    hidden: 0,
+    collapsed: 0,
+    dimmed: 0,
+    unknown: 0,
+    byLang: {},
+    detectors: { heuristic: 0, chrome: 0, user: 0 }
+  };
+
+  frameStats.forEach(stats => {
+    ['processed', 'shown', 'hidden', 'collapsed', 'dimmed', 'unknown'].forEach(key => {
+      total[key] += stats[key];
+    });
+    Object.entries(stats.byLang).forEach(([code, count]) => {
+      total.byLang[code] = (total.byLang[code] || 0) + count;
+    });
+    Object.entries(stats.detectors).forEach(([source, count]) => {
+      total.detectors[source] = (total.detectors[source] || 0) + count;
+    });
+  });
+  return total;
+}
+
+function renderStats(stats) {
+  document.getElementById('statProcessed').textContent = stats.processed;
+  document.getElementById('statShown').textContent = stats.shown;
+  document.getElementById('statHidden').textContent = stats.hidden;
+  document.getElementById('statCollapsed').textContent = stats.collapsed;
+  document.getElementById('statDimmed').textContent = stats.dimmed;
+  document.getElementById('statUnknown').textContent = stats.unknown;
+
+  const langsEl = document.getElementById('statsLangs');
+  langsEl.textContent = '';
+  Object.entries(stats.byLang)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([code, count]) => {
+      const chip = document.createElement('span');
+      chip.className = 'stats-lang';
+      chip.textContent = `${getLanguage(code).name} ${count}`;
+      langsEl.appendChild(chip);
+    });
+
+  document.getElementById('statsDetectors').textContent =
+    `Detected by heuristic: ${stats.detectors.heuristic} · Chrome: ${stats.detectors.chrome}` +
+    ` · Corrected: ${stats.detectors.user}`;
+}
+
 function showStatus(message, type = '') {
   statusEl.textContent = message;
   statusEl.className = 'status ' + type;
@@ -0,0 +1,192 @@
+// YouTube Language Filter - Settings
+// DEFAULT_SETTINGS and the validation applied to stored settings and
+// exported configuration files. Loaded as a plain script (global YLFConfig)
+// by the popup, the options page and before content.js.
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.YLFConfig = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // Default settings
+  const DEFAULT_SETTINGS = {
+    enabled: true,
+    allowedLangs: ['en'],
+    mode: 'hide',
+    hideUnknown: false,
+    threadPolicy: 'thread',
+    mixedMinShare: 0,
+    authorRules: { allow: [], block: [] },
+    textRules: [],
+    strictness: 'balanced',
+    thresholds: {
+      chromeMinPercent: 40,
+      chromeHighPercent: 70,
+      scriptRatio: 30,
+      filterConfidence: 'medium'
+    },
+    channelProfiles: {},
+    pinnedLangs: [],
+    debug: false,
+    updatedAt: 0
+  };
+
+  // Exported configuration files
+  const CONFIG_FORMAT = 'ylf-config';
+  const CONFIG_VERSION = 1;
+
+  // Allowed values of the enumerated settings
+  const DISPLAY_MODES = ['hide', 'collapse', 'dim', 'annotate', 'prioritize'];
+  const THREAD_POLICIES = ['thread', 'any-reply', 'replies-only'];
+  const STRICTNESS_LEVELS = ['lenient', 'balanced', 'strict', 'custom'];
+  const FILTER_CONFIDENCES = ['low', 'medium', 'high'];
+  const TEXT_RULE_ACTION_IDS = ['hide', 'collapse', 'show'];
+
+  // Inclusive ranges of the numeric thresholds, as in the advanced fields
+  const THRESHOLD_RANGES = {
+    chromeMinPercent: [0, 100],
+    chromeHighPercent: [0, 100],
+    scriptRatio: [5, 90]
+  };
+
+  const LANGUAGE_CODE_REGEX = /^[a-z]{2,3}$/;
+
+  /**
+   * Fills in defaults for missing keys, including inside nested objects.
+   */
+  function withDefaults(stored) {
+    return {
+      ...DEFAULT_SETTINGS,
+      ...stored,
+      thresholds: { ...DEFAULT_SETTINGS.thresholds, ...(stored && stored.thresholds) },
+      authorRules: { ...DEFAULT_SETTINGS.authorRules, ...(stored && stored.authorRules) }
+    };
+  }
+
+  function valueKind(value) {
+    if (Array.isArray(value)) return 'array';
+    return value === null ? 'null' : typeof value;
+  }
+
+  function isNumberInRange(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+  }
+
+  function languageCodes(value) {
+    return Array.isArray(value) ? value.filter(code => typeof code === 'string' && LANGUAGE_CODE_REGEX.test(code)) : [];
+  }
+
+  function strings(value) {
+    return Array.isArray(value) ? value.filter(entry => typeof entry === 'string') : [];
+  }
+
+  function sanitizeThresholds(thresholds) {
+    const clean = { ...DEFAULT_SETTINGS.thresholds };
+    Object.entries(THRESHOLD_RANGES).forEach(([key, [min, max]]) => {
+      if (isNumberInRange(thresholds[key], min, max)) clean[key] = Math.round(thresholds[key]);
+    });
+    if (FILTER_CONFIDENCES.includes(thresholds.filterConfidence)) {
+      clean.filterConfidence = thresholds.filterConfidence;
+    }
+    clean.chromeHighPercent = Math.max(clean.chromeHighPercent, clean.chromeMinPercent);
+    return clean;
+  }
+
+  function sanitizeTextRules(rules) {
+    return rules
+      .filter(rule => valueKind(rule) === 'object' &&
+        typeof rule.pattern === 'string' && rule.pattern.trim() &&
+        typeof rule.isRegex === 'boolean' &&
+        TEXT_RULE_ACTION_IDS.includes(rule.action))
+      .map(rule => ({ pattern: rule.pattern, isRegex: rule.isRegex, action: rule.action }));
+  }
+
+  /**
+   * Keeps the channel profiles with a list of allowed languages; their mode
+   * and unknown-handling fall back to the global ones when invalid.
+   */
+  function sanitizeChannelProfiles(profiles, global) {
+    const clean = {};
+    Object.entries(profiles).forEach(([key, profile]) => {
+      if (valueKind(profile) !== 'object' || !Array.isArray(profile.allowedLangs)) return;
+      clean[key] = {
+        name: typeof profile.name === 'string' ? profile.name : key,
+        id: typeof profile.id === 'string' ? profile.id : null,
+        handle: typeof profile.handle === 'string' ? profile.handle : null,
+        allowedLangs: languageCodes(profile.allowedLangs),
+        mode: DISPLAY_MODES.includes(profile.mode) ? profile.mode : global.mode,
+        hideUnknown: typeof profile.hideUnknown === 'boolean' ? profile.hideUnknown : global.hideUnknown
+      };
+    });
+    return clean;
+  }
+
+  /**
+   * Settings with every value checked, nested ones included: keys this version
+   * doesn't know are dropped, values of the wrong type or outside their range
+   * fall back to the default, and invalid list entries (text rules, author
+   * entries, channel profiles) are left out. Applied to stored settings on
+   * load and to imported configurations.
+   */
+  function sanitizeSettings(stored) {
+    const raw = valueKind(stored) === 'object' ? stored : {};
+    const clean = {};
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+      const value = raw[key];
+      if (value !== undefined && valueKind(value) === valueKind(DEFAULT_SETTINGS[key])) {
+        clean[key] = value;
+      }
+    });
+
+    if (!DISPLAY_MODES.includes(clean.mode)) delete clean.mode;
+    if (!THREAD_POLICIES.includes(clean.threadPolicy)) delete clean.threadPolicy;
+    if (!STRICTNESS_LEVELS.includes(clean.strictness)) delete clean.strictness;
+    if (!isNumberInRange(clean.mixedMinShare, 0, 90)) delete clean.mixedMinShare;
+
+    const authorRules = clean.authorRules || {};
+    clean.authorRules = { allow: strings(authorRules.allow), block: strings(authorRules.block) };
+    clean.thresholds = sanitizeThresholds(clean.thresholds || {});
+    clean.textRules = sanitizeTextRules(clean.textRules || []);
+
+    // Fresh lists, so callers can edit them without touching DEFAULT_SETTINGS
+    const settings = withDefaults(clean);
+    settings.allowedLangs = languageCodes(settings.allowedLangs);
+    settings.pinnedLangs = languageCodes(settings.pinnedLangs);
+    settings.channelProfiles = sanitizeChannelProfiles(settings.channelProfiles, settings);
+    return settings;
+  }
+
+  /**
+   * Validates an exported configuration and returns its settings (see
+   * sanitizeSettings).
+   * @throws {Error} With a message for the status line
+   */
+  function parseConfig(text) {
+    let config;
+    try {
+      config = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Not a valid JSON file');
+    }
+
+    if (!config || config.format !== CONFIG_FORMAT || valueKind(config.settings) !== 'object') {
+      throw new Error('Not a YouTube Language Filter configuration');
+    }
+    if (!Number.isInteger(config.version) || config.version > CONFIG_VERSION) {
+      throw new Error('Configuration is from a newer version of the extension');
+    }
+
+    return sanitizeSettings(config.settings);
+  }
+
+  return {
+    DEFAULT_SETTINGS,
+    CONFIG_FORMAT,
+    CONFIG_VERSION,
+    sanitizeSettings,
+    parseConfig
+  };
+});
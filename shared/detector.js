@@ -0,0 +1,634 @@
+// YouTube Language Filter - Detection Engine
+// Script heuristic, offline Latin-script classifier and the checks applied to
+// chrome.i18n.detectLanguage results. Uses no extension APIs: Chrome's
+// detector is passed in as an adapter, so the same engine runs in the content
+// script (global YLFDetector, loaded before content.js), in the content
+// script's heuristic worker and in Node (require, see tools/evaluate-detector.js).
+(function(root, factory) {
+  const engine = factory();
+  // The engine's own source, so the content script can build its heuristic
+  // worker from a Blob without exposing this file to the page
+  engine.source = `self.YLFDetector = (${factory})();`;
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = engine;
+  } else {
+    root.YLFDetector = engine;
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // Bump DETECTOR_VERSION whenever detection logic changes so results cached
+  // by an older version are recomputed.
+  const DETECTOR_VERSION = 5;
+  const SAMPLE_LENGTH = 200;
+
+  const DEFAULT_THRESHOLDS = {
+    chromeMinPercent: 40,
+    chromeHighPercent: 70,
+    scriptRatio: 30
+  };
+
+  // ===========================================
+  // UNICODE RANGES FOR SCRIPT DETECTION
+  // ===========================================
+  const HANGUL_REGEX = /[\uAC00-\uD7A3\u1100-\u11FF\u3130-\u318F]/g;
+  const HIRAGANA_REGEX = /[\u3040-\u309F]/g;
+  const KATAKANA_REGEX = /[\u30A0-\u30FF\u31F0-\u31FF]/g;
+  const HAN_REGEX = /[\u4E00-\u9FFF]/g;
+  const LATIN_REGEX = /[A-Za-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u024F\u1E00-\u1EFF]/g;
+  const CYRILLIC_REGEX = /[\u0400-\u04FF\u0500-\u052F]/g;
+  const ARABIC_REGEX = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/g;
+  const DEVANAGARI_REGEX = /[\u0900-\u097F]/g;
+  const THAI_REGEX = /[\u0E00-\u0E7F]/g;
+  const HEBREW_REGEX = /[\u0590-\u05FF\uFB1D-\uFB4F]/g;
+  const GREEK_REGEX = /[\u0370-\u03FF\u1F00-\u1FFF]/g;
+  const URL_REGEX = /https?:\/\/[^\s]+/g;
+  const CJK_CHAR_WEIGHT = 2;
+
+  // Text normalization - parts of a comment that say nothing about its language
+  const MENTION_REGEX = /(^|\s)@[^\s@]+/g;
+  const HASHTAG_REGEX = /(^|\s)#[^\s#]+/g;
+  const TIMESTAMP_REGEX = /\b\d{1,2}(?::\d{2}){1,2}\b/g;
+  const EMOJI_REGEX = /[\p{Extended_Pictographic}\p{Emoji_Modifier}\u200D\uFE0F\u20E3]/gu;
+  const REPEATED_CHAR_REGEX = /(.)\1{2,}/gu;
+
+  // Letters used by other Cyrillic-script languages (Ukrainian, Belarusian,
+  // Serbian, Macedonian, Kazakh, Kyrgyz, Mongolian, Tajik) but not Russian
+  const CYRILLIC_SIBLING_REGEX = /[ІіЇїЄєҐґЎўЂђЈјЉљЊњЋћЏџЃѓЌќЅѕӘәҒғҚқҢңӨөҰұҮүҺһҲҳҶҷӢӣӮӯ]/;
+  // Letters used by Persian, Urdu and Pashto but not Arabic
+  const ARABIC_SIBLING_REGEX = /[\u067E\u0686\u0698\u06AF\u06A9\u06CC\u0679\u0688\u0691\u06BA\u06D2\u06BE]/;
+
+  /**
+   * Scripts that map to a single language in the LANGUAGES preset.
+   * Cyrillic and Arabic are shared by several languages, but Russian and
+   * Arabic are by far the most common on YouTube, so they are used as the label
+   * unless the text has letters of a sibling language (see classifyScripts).
+   */
+  const SINGLE_LANG_SCRIPTS = [
+    { lang: 'ru', regex: CYRILLIC_REGEX, siblings: CYRILLIC_SIBLING_REGEX },
+    { lang: 'ar', regex: ARABIC_REGEX, siblings: ARABIC_SIBLING_REGEX },
+    { lang: 'hi', regex: DEVANAGARI_REGEX },
+    { lang: 'th', regex: THAI_REGEX },
+    { lang: 'he', regex: HEBREW_REGEX },
+    { lang: 'el', regex: GREEK_REGEX }
+  ];
+
+  // ===========================================
+  // TEXT NORMALIZATION
+  // ===========================================
+  /**
+   * Text-level normalization shared by the heuristic and the Chrome fallback:
+   * drops URLs, @mentions, #hashtags, timestamps and emoji, and shortens
+   * character runs ("ㅋㅋㅋㅋㅋ", "!!!!!", "soooo") to two.
+   */
+  function normalizeText(text) {
+    return text
+      .replace(URL_REGEX, ' ')
+      .replace(MENTION_REGEX, '$1')
+      .replace(HASHTAG_REGEX, '$1')
+      .replace(TIMESTAMP_REGEX, ' ')
+      .replace(EMOJI_REGEX, ' ')
+      .replace(REPEATED_CHAR_REGEX, '$1$1')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // ===========================================
+  // SCRIPT-BASED HEURISTIC LANGUAGE CLASSIFIER
+  // ===========================================
+  /**
+   * Classifies normalized text (see normalizeText) by its writing systems.
+   * Returns { lang, confidence, distribution } where lang may be 'unknown'
+   * (no script characters) or 'uncertain' (needs the Chrome fallback), and
+   * distribution is the per-language share of script characters.
+   */
+  function heuristicDetect(normalized, thresholds) {
+    const counts = countScripts(normalized);
+
+    const result = classifyScripts(normalized, counts, thresholds.scriptRatio / 30);
+    result.distribution = buildScriptDistribution(normalized, counts);
+    return result;
+  }
+
+  function countScripts(normalized) {
+    const scriptCounts = SINGLE_LANG_SCRIPTS.map(({ lang, regex, siblings }) => ({
+      lang,
+      siblings,
+      count: (normalized.match(regex) || []).length
+    }));
+
+    const hangul = (normalized.match(HANGUL_REGEX) || []).length;
+    const kana = (normalized.match(HIRAGANA_REGEX) || []).length +
+                 (normalized.match(KATAKANA_REGEX) || []).length;
+    const han = (normalized.match(HAN_REGEX) || []).length;
+    const latin = (normalized.match(LATIN_REGEX) || []).length;
+    const other = scriptCounts.reduce((sum, s) => sum + s.count, 0);
+
+    return {
+      hangul,
+      kana,
+      han,
+      latin,
+      other,
+      scriptCounts,
+      total: hangul + kana + han + latin + other
+    };
+  }
+
+  /**
+   * Script character counts behind heuristicDetect, with each script's
+   * share of all script characters in percent.
+   */
+  function describeScripts(normalized) {
+    const counts = countScripts(normalized);
+    const scripts = { hangul: counts.hangul, kana: counts.kana, han: counts.han, latin: counts.latin };
+    counts.scriptCounts.forEach(({ lang, count }) => {
+      scripts[lang] = count;
+    });
+
+    const ratios = {};
+    Object.entries(scripts).forEach(([script, count]) => {
+      if (count > 0) ratios[script] = Math.round(count / counts.total * 100);
+    });
+    return { total: counts.total, scripts, ratios };
+  }
+
+  /**
+   * Share of each language by script characters, largest first.
+   * Han counts as Japanese when kana is present, Chinese otherwise.
+   * Latin letters are attributed by the Latin classifier; when it is
+   * uncertain they count as 'unknown', so a failed Chrome fallback can't
+   * credit a non-English comment to English.
+   * A Hangul/kana/Han character carries about as much text as two letters,
+   * so those are weighted double.
+   */
+  function buildScriptDistribution(normalized, counts) {
+    if (counts.total === 0) return [];
+
+    const totals = {};
+    const add = (lang, count) => {
+      if (count > 0) totals[lang] = (totals[lang] || 0) + count;
+    };
+
+    add('ko', counts.hangul * CJK_CHAR_WEIGHT);
+    add(counts.kana > 0 ? 'ja' : 'zh', counts.han * CJK_CHAR_WEIGHT);
+    add('ja', counts.kana * CJK_CHAR_WEIGHT);
+    counts.scriptCounts.forEach(({ lang, count }) => add(lang, count));
+
+    if (counts.latin > 0) {
+      const latinText = (normalized.match(LATIN_WORD_SEQUENCE_REGEX) || []).join(' ');
+      const latin = classifyLatin(latinText);
+      add(latin.lang === 'uncertain' ? 'unknown' : latin.lang, counts.latin);
+    }
+
+    const weightedTotal = Object.values(totals).reduce((sum, n) => sum + n, 0);
+    return toDistribution(totals, weightedTotal);
+  }
+
+  function toDistribution(totals, total) {
+    return Object.entries(totals)
+      .map(([lang, count]) => ({ lang, share: Math.round(count / total * 100) }))
+      .sort((a, b) => b.share - a.share);
+  }
+
+  /**
+   * @param {number} scale - Multiplier for the ratio cutoffs (1 = defaults)
+   */
+  function classifyScripts(normalized, counts, scale) {
+    const hangulCount = counts.hangul;
+    const kanaCount = counts.kana;
+    const hanCount = counts.han;
+    const latinCount = counts.latin;
+    const otherCount = counts.other;
+    const scriptCounts = counts.scriptCounts;
+    const totalScriptChars = counts.total;
+
+    if (totalScriptChars < 2) {
+      return { lang: 'unknown', confidence: 'low' };
+    }
+
+    const hangulRatio = hangulCount / totalScriptChars;
+    const kanaRatio = kanaCount / totalScriptChars;
+    const hanRatio = hanCount / totalScriptChars;
+    const latinRatio = latinCount / totalScriptChars;
+
+    // Korean detection
+    if (hangulCount >= 2 && (hangulRatio >= 0.20 * scale || hangulCount > kanaCount)) {
+      return { lang: 'ko', confidence: 'high' };
+    }
+    if (hangulCount >= 1 && kanaCount === 0 && hanCount === 0) {
+      return { lang: 'ko', confidence: 'medium' };
+    }
+
+    // Japanese detection - ONLY if kana exists and no Hangul
+    if (kanaCount >= 2 && hangulCount === 0) {
+      if (kanaRatio >= 0.10 * scale) {
+        return { lang: 'ja', confidence: 'high' };
+      }
+    }
+    if (kanaCount >= 1 && hangulCount >= 1) {
+      return { lang: 'uncertain', confidence: 'low' };
+    }
+
+    // Chinese detection
+    if (hanCount >= 2 && hangulCount === 0 && kanaCount === 0) {
+      if (hanRatio >= 0.30 * scale || (hanRatio >= 0.20 * scale && latinRatio < 0.50)) {
+        return { lang: 'zh', confidence: 'medium' };
+      }
+    }
+
+    // Single-language scripts (Cyrillic, Arabic, Devanagari, Thai, Hebrew, Greek)
+    const cjkCount = hangulCount + kanaCount + hanCount;
+    const dominant = scriptCounts.reduce((a, b) => (b.count > a.count) ? b : a);
+    if (dominant.count > 0 && cjkCount === 0) {
+      // Ukrainian, Persian, ... - let Chrome tell the language apart
+      if (dominant.siblings && dominant.siblings.test(normalized)) {
+        return { lang: 'uncertain', confidence: 'low' };
+      }
+
+      const dominantRatio = dominant.count / totalScriptChars;
+      const isOnlyScript = dominant.count === otherCount;
+
+      if (dominant.count >= 2 && dominantRatio >= 0.30 * scale && isOnlyScript) {
+        return { lang: dominant.lang, confidence: 'high' };
+      }
+      if (dominantRatio > latinRatio && isOnlyScript) {
+        return { lang: dominant.lang, confidence: 'medium' };
+      }
+    }
+
+    // Latin-script detection - the Latin classifier decides which language
+    if (latinRatio >= 0.30 * scale && cjkCount === 0 && otherCount === 0) {
+      return classifyLatin(normalized);
+    }
+    if (latinRatio >= Math.min(0.50 * scale, 0.90) && (cjkCount + otherCount) <= 1) {
+      const latin = classifyLatin(normalized);
+      if (latin.lang === 'uncertain') return latin;
+      return { lang: latin.lang, confidence: 'medium' };
+    }
+
+    // Mixed Han + Latin
+    if (hanCount >= 1 && latinCount >= 1 && hangulCount === 0 && kanaCount === 0 && otherCount === 0) {
+      if (hanRatio > latinRatio) {
+        return { lang: 'zh', confidence: 'low' };
+      }
+      return { lang: 'uncertain', confidence: 'low' };
+    }
+
+    return { lang: 'uncertain', confidence: 'low' };
+  }
+
+  // ===========================================
+  // LATIN-SCRIPT LANGUAGE CLASSIFIER
+  // ===========================================
+  /**
+   * Offline profiles for the Latin-script languages in the popup preset.
+   * - stopwords: frequent function words and comment slang
+   * - markers: letters with diacritics, weighted by how specific they are
+   * - trigrams: frequent character trigrams (word boundaries as spaces)
+   */
+  const LATIN_PROFILES = {
+    en: {
+      stopwords: ['the', 'and', 'to', 'of', 'is', 'in', 'it', 'you', 'that', 'this', 'for', 'i', 'was', 'on',
+        'are', 'with', 'be', 'have', 'not', 'but', 'so', 'my', 'what', 'just', 'like', 'they', 'me', 'he',
+        'she', 'we', 'do', 'can', 'at', 'your', 'all', 'from', 'who', 'how', 'why', 'when', 'its', "it's",
+        "i'm", "don't", 'lol', 'omg', 'really', 'very', 'love', 'thanks', 'thank', 'good', 'one', 'about'],
+      markers: {},
+      trigrams: [' th', 'the', 'he ', 'and', 'nd ', ' an', 'ing', 'ng ', ' to', ' of', 'of ', 'you', ' yo',
+        'is ', ' is', 'hat', 'thi', 'his', 'ght', 'ver']
+    },
+    es: {
+      stopwords: ['de', 'la', 'que', 'el', 'en', 'y', 'los', 'se', 'del', 'las', 'un', 'por', 'con', 'no',
+        'una', 'su', 'para', 'es', 'al', 'lo', 'como', 'más', 'pero', 'muy', 'esta', 'este', 'yo', 'mi',
+        'me', 'qué', 'gracias', 'porque', 'también', 'hay', 'todo', 'cuando', 'jajaja', 'jaja', 'bueno',
+        'eres', 'está', 'ya', 'tu', 'hermoso', 'canción', 'hola', 'todos', 'desde', 'saludos'],
+      markers: { 'ñ': 4, '¿': 4, '¡': 4, 'á': 1, 'í': 1, 'ó': 1, 'ú': 1, 'é': 1 },
+      trigrams: [' de', 'de ', 'os ', ' la', 'la ', 'que', ' qu', 'ue ', 'es ', 'as ', 'el ', 'ión', 'ent',
+        'con', ' co', ' el', 'ado', 'nte', ' es', 'ien']
+    },
+    fr: {
+      stopwords: ['de', 'la', 'le', 'et', 'les', 'des', 'en', 'un', 'une', 'du', 'est', 'que', 'qui', 'pas',
+        'pour', 'je', 'il', 'elle', 'ce', 'dans', 'sur', 'au', 'avec', 'mais', 'vous', 'tu', 'on', 'ne',
+        "c'est", "j'ai", "j'adore", 'très', 'merci', 'trop', 'moi', 'bien', 'mdr', 'cette', 'aussi', 'ça'],
+      markers: { 'ç': 2, 'œ': 4, 'è': 2, 'ê': 2, 'à': 1, 'â': 1, 'î': 3, 'ô': 1, 'û': 3, 'ë': 2, 'ï': 3, 'ù': 2, 'é': 1 },
+      trigrams: [' de', 'es ', 'de ', ' le', 'le ', 'ent', 'les', ' la', 'la ', 'ion', 'ne ', 'que', 'eur',
+        'ais', 'ous', ' qu', 'est', ' pa', 'our', 'ait']
+    },
+    de: {
+      stopwords: ['der', 'die', 'und', 'in', 'den', 'von', 'zu', 'das', 'mit', 'sich', 'des', 'auf', 'für',
+        'ist', 'im', 'dem', 'nicht', 'ein', 'eine', 'als', 'auch', 'es', 'an', 'er', 'so', 'dass', 'wie',
+        'ich', 'du', 'sehr', 'aber', 'wir', 'mal', 'danke', 'noch', 'schon', 'nur', 'gut', 'wenn', 'was',
+        'immer', 'habe', 'hat'],
+      markers: { 'ß': 5, 'ä': 3, 'ö': 1, 'ü': 1 },
+      trigrams: ['en ', 'er ', 'ich', 'ein', 'sch', 'der', ' de', 'die', 'ie ', 'che', 'und', ' un', 'nd ',
+        'cht', 'den', ' di', 'ung', 'ch ', 'gen', 'ine']
+    },
+    pt: {
+      stopwords: ['de', 'que', 'não', 'o', 'a', 'e', 'do', 'da', 'em', 'um', 'para', 'é', 'com', 'uma',
+        'os', 'no', 'se', 'na', 'por', 'mais', 'as', 'dos', 'como', 'mas', 'foi', 'ao', 'muito', 'eu',
+        'você', 'isso', 'obrigado', 'obrigada', 'vc', 'tá', 'pra', 'tudo', 'melhor', 'kkkk', 'kkk', 'meu',
+        'minha', 'essa', 'esse'],
+      markers: { 'ã': 4, 'õ': 5, 'ç': 1, 'â': 1, 'ê': 1, 'ô': 1, 'á': 1, 'é': 1, 'ú': 1, 'í': 1 },
+      trigrams: [' de', 'de ', 'os ', 'ão ', ' qu', 'que', 'ue ', 'as ', ' co', 'com', 'nte', 'ção', 'ent',
+        'do ', 'da ', ' nã', 'não', 'ado', 'ess', 'mui']
+    },
+    it: {
+      stopwords: ['di', 'che', 'il', 'la', 'e', 'è', 'per', 'un', 'non', 'in', 'sono', 'mi', 'ma', 'con',
+        'si', 'una', 'ho', 'questo', 'questa', 'anche', 'come', 'del', 'della', 'molto', 'grazie', 'bello',
+        'più', 'io', 'ti', 'lo', 'gli', 'cosa', 'tutto', 'sempre', 'perché', 'bravo', 'brava'],
+      markers: { 'à': 1, 'è': 2, 'ì': 4, 'ò': 4, 'ù': 2 },
+      trigrams: [' di', 'di ', 'che', ' ch', 'la ', 'to ', 're ', 'no ', 'ell', 'are', 'zio', 'ion', ' co',
+        'per', 'one', 'lla', ' pe', 'ato', 'sta', 'gli']
+    },
+    vi: {
+      stopwords: ['và', 'của', 'là', 'có', 'không', 'những', 'được', 'cho', 'người', 'này', 'một', 'các',
+        'với', 'thì', 'mà', 'em', 'anh', 'quá', 'rất', 'bạn', 'đã', 'như', 'đi', 'nhưng', 'lắm', 'vậy',
+        'nha', 'hay', 'mình', 'ơi'],
+      markers: { 'ă': 4, 'đ': 5, 'ơ': 5, 'ư': 5, 'ý': 3, 'à': 1, 'á': 1, 'ã': 1, 'ì': 1, 'í': 1, 'ò': 1,
+        'ó': 1, 'ù': 1, 'ú': 1, 'â': 1, 'ê': 1, 'ô': 1 },
+      trigrams: [' kh', 'ng ', 'ông', 'nh ', 'kho', 'ch ', 'ác ', ' ng', 'ngư', 'hôn', ' nh', 'anh', ' th',
+        'ời ', 'ày ', 'ủa ', 'ột ', ' đư', 'ược', 'iệt']
+    },
+    id: {
+      stopwords: ['yang', 'dan', 'di', 'ini', 'itu', 'dengan', 'untuk', 'tidak', 'ada', 'dari', 'saya',
+        'aku', 'kamu', 'ke', 'juga', 'akan', 'bisa', 'sudah', 'banget', 'lagi', 'apa', 'ya', 'kalau',
+        'karena', 'orang', 'sama', 'tapi', 'gak', 'nggak', 'mantap', 'semoga', 'sangat', 'lagunya', 'keren'],
+      markers: {},
+      trigrams: ['an ', 'ang', 'kan', ' me', 'nya', 'ya ', 'ng ', ' di', 'aka', 'yan', ' be', 'ada', 'ini',
+        'ah ', 'gan', ' ya', 'ala', 'kam', 'ama', 'uk ']
+    },
+    tr: {
+      stopwords: ['ve', 'bir', 'bu', 'da', 'de', 'için', 'ile', 'çok', 'ne', 'gibi', 'ama', 'daha', 'ben',
+        'sen', 'mi', 'mı', 'var', 'yok', 'olan', 'kadar', 'değil', 'şey', 'güzel', 'teşekkürler', 'abi',
+        'her', 'bence', 'harika', 'hiç', 'şarkı'],
+      markers: { 'ğ': 5, 'ş': 4, 'ı': 5, 'İ': 5, 'ç': 1, 'ö': 1, 'ü': 1 },
+      trigrams: ['lar', 'ler', 'bir', ' bi', 'in ', 'ir ', 'an ', 'eri', 'ını', 'ara', 'ın ', 'en ', 'ini',
+        'yor', 'içi', 'dır', 'ası', ' ço', 'çok', 'iyo']
+    }
+  };
+
+  // Vietnamese tone marks on vowels (Latin Extended Additional)
+  const VIETNAMESE_TONE_REGEX = /[\u1EA0-\u1EF9]/g;
+  // Lowercase letters of Latin-script languages without a profile (Polish,
+  // Czech, Hungarian, Nordic, Baltic, Romanian, ...)
+  const LATIN_FOREIGN_REGEX = /[ąęłńśźżřůěďťňľĺŕőűåøðþāēīūļķņģčšžėįųșțţ]/;
+  const LATIN_WORD_SEQUENCE_REGEX = /[A-Za-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u024F\u1E00-\u1EFF'¿¡]+/g;
+  const LATIN_WORD_REGEX = /[a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u024F\u1E00-\u1EFF'¿¡]+/g;
+
+  const latinProfiles = Object.entries(LATIN_PROFILES).map(([lang, profile]) => ({
+    lang,
+    stopwords: new Set(profile.stopwords),
+    markers: profile.markers,
+    trigrams: new Set(profile.trigrams)
+  }));
+
+  /**
+   * Scores Latin-script text against each language profile.
+   * Returns 'uncertain' when the evidence is too thin or too close to call,
+   * so the text falls through to chrome.i18n.detectLanguage instead of being
+   * labeled English. Text with letters no profile uses is left to Chrome too.
+   */
+  function classifyLatin(text) {
+    const lower = text.toLowerCase();
+    const words = lower.match(LATIN_WORD_REGEX) || [];
+    if (words.length === 0 || LATIN_FOREIGN_REGEX.test(lower)) {
+      return { lang: 'uncertain', confidence: 'low' };
+    }
+
+    const padded = ' ' + words.join(' ') + ' ';
+    const toneCount = (lower.match(VIETNAMESE_TONE_REGEX) || []).length;
+
+    const scores = latinProfiles.map(profile => {
+      let stopwordHits = 0;
+      for (const word of words) {
+        if (profile.stopwords.has(word)) stopwordHits++;
+      }
+
+      let markerScore = 0;
+      for (const char of lower) {
+        markerScore += profile.markers[char] || 0;
+      }
+      if (profile.lang === 'vi') {
+        markerScore += toneCount * 3;
+      }
+
+      let trigramHits = 0;
+      for (let i = 0; i < padded.length - 2; i++) {
+        if (profile.trigrams.has(padded.substring(i, i + 3))) trigramHits++;
+      }
+
+      const wordScore = stopwordHits * 3 + markerScore * 2;
+      return {
+        lang: profile.lang,
+        stopwordHits,
+        wordScore,
+        score: wordScore + trigramHits
+      };
+    }).sort((a, b) => b.score - a.score);
+
+    const best = scores[0];
+    const second = scores[1];
+
+    if (best.score < 4) {
+      return { lang: 'uncertain', confidence: 'low' };
+    }
+
+    const margin = (best.score - second.score) / best.score;
+
+    if (margin >= 0.40 && best.stopwordHits >= 2) {
+      return { lang: best.lang, confidence: 'high' };
+    }
+    // Trigrams alone are too weak to name a language: "Come on" and "here in
+    // 2023" share one stopword with Italian and win on a single trigram.
+    // Without stopword or marker evidence of its own, let Chrome decide.
+    if (margin >= 0.25 && best.wordScore > second.wordScore) {
+      return { lang: best.lang, confidence: 'medium' };
+    }
+
+    return { lang: 'uncertain', confidence: 'low' };
+  }
+
+  // ===========================================
+  // HYBRID LANGUAGE DETECTION
+  // ===========================================
+  /**
+   * Detects the language of normalized text (see normalizeText): the script
+   * heuristic first, then the Chrome adapter for text it can't place.
+   *
+   * @param {string} normalized - Output of normalizeText
+   * @param {object} [options]
+   * @param {object} [options.thresholds] - See DEFAULT_THRESHOLDS
+   * @param {object} [options.heuristic] - heuristicDetect's result for this
+   *   text, when it was computed elsewhere (the content script's worker)
+   * @param {function(string): Promise<{languages: Array, isReliable: boolean}|null>} [options.detectLanguage]
+   *   Adapter for chrome.i18n.detectLanguage. Resolves to null when there is
+   *   no usable result (stale or failed call). Without an adapter, text the
+   *   heuristic can't place is unknown.
+   * @param {object} [options.trace] - Filled with intermediate results (debug overlay)
+   * @returns {Promise<{result: object, complete: boolean}>} - complete is false
+   *   when the adapter gave no result; such results shouldn't be cached
+   */
+  async function detect(normalized, options = {}) {
+    const thresholds = { ...DEFAULT_THRESHOLDS, ...options.thresholds };
+    const trace = options.trace || null;
+
+    const heuristic = options.heuristic || heuristicDetect(normalized, thresholds);
+    if (trace) {
+      trace.normalized = normalized.substring(0, SAMPLE_LENGTH);
+      trace.heuristic = { lang: heuristic.lang, confidence: heuristic.confidence, ...describeScripts(normalized) };
+      trace.chrome = null;
+    }
+
+    if (heuristic.lang !== 'uncertain' && heuristic.lang !== 'unknown') {
+      return {
+        result: {
+          lang: heuristic.lang,
+          isUnknown: false,
+          confidence: heuristic.confidence,
+          source: 'heuristic',
+          distribution: heuristic.distribution
+        },
+        complete: true
+      };
+    }
+
+    if (heuristic.lang === 'unknown') {
+      return {
+        result: { lang: 'unknown', isUnknown: true, confidence: 'low', source: 'heuristic', distribution: [] },
+        complete: true
+      };
+    }
+
+    // Fallback to Chrome's detector
+    const sample = normalized.substring(0, SAMPLE_LENGTH);
+    const chromeResult = options.detectLanguage ? await options.detectLanguage(sample) : null;
+    if (trace) {
+      trace.chrome = chromeResult
+        ? { isReliable: chromeResult.isReliable, languages: chromeResult.languages || [] }
+        : { failed: true };
+    }
+
+    // No result - unknown, but keep the script shares so mixed-language
+    // comments can still be matched
+    if (!chromeResult) {
+      return {
+        result: {
+          lang: 'unknown',
+          isUnknown: true,
+          confidence: 'low',
+          source: 'chrome',
+          distribution: heuristic.distribution
+        },
+        complete: false
+      };
+    }
+
+    const distribution = buildChromeDistribution(chromeResult, normalized);
+    let result = {
+      lang: 'unknown',
+      isUnknown: true,
+      confidence: 'low',
+      source: 'chrome',
+      distribution: distribution.length > 0 ? distribution : heuristic.distribution
+    };
+
+    if (chromeResult.languages && chromeResult.languages.length > 0) {
+      const topLang = chromeResult.languages.reduce((a, b) =>
+        (a.percentage > b.percentage) ? a : b
+      );
+
+      const detectedLang = normalizeLanguageCode(topLang.language);
+      const isValid = validateChromeResult(detectedLang, normalized);
+      if (trace) {
+        Object.assign(trace.chrome, {
+          top: detectedLang,
+          topPercent: topLang.percentage,
+          valid: isValid,
+          minPercent: thresholds.chromeMinPercent
+        });
+      }
+
+      if (topLang.percentage >= thresholds.chromeMinPercent && isValid) {
+        result = {
+          lang: detectedLang,
+          isUnknown: false,
+          confidence: topLang.percentage >= thresholds.chromeHighPercent ? 'high' : 'medium',
+          source: 'chrome',
+          distribution
+        };
+      }
+    }
+
+    return { result, complete: true };
+  }
+
+  // ===========================================
+  // CHROME RESULT CHECKS
+  // ===========================================
+  /**
+   * All languages Chrome reported, with regional variants merged
+   * (zh-Hant + zh) and script-implausible ones dropped.
+   */
+  function buildChromeDistribution(chromeResult, text) {
+    if (!chromeResult.languages) return [];
+
+    const totals = {};
+    for (const { language, percentage } of chromeResult.languages) {
+      const lang = normalizeLanguageCode(language);
+      if (!validateChromeResult(lang, text)) continue;
+      totals[lang] = (totals[lang] || 0) + percentage;
+    }
+
+    return toDistribution(totals, 100);
+  }
+
+  function validateChromeResult(detectedLang, text) {
+    const hangulMatches = text.match(HANGUL_REGEX) || [];
+    const kanaMatches = text.match(HIRAGANA_REGEX) || [];
+    const katakanaMatches = text.match(KATAKANA_REGEX) || [];
+
+    const hangulCount = hangulMatches.length;
+    const kanaCount = kanaMatches.length + katakanaMatches.length;
+
+    if (detectedLang === 'ja') {
+      if (hangulCount > 0 && kanaCount === 0) return false;
+      if (kanaCount === 0) return false;
+    }
+
+    if (detectedLang === 'ko' && hangulCount === 0) {
+      return false;
+    }
+
+    return true;
+  }
+
+  // Legacy ISO 639 codes still returned by Chrome's CLD
+  const LEGACY_LANGUAGE_CODES = {
+    iw: 'he',
+    ji: 'yi',
+    jw: 'jv',
+    in: 'id'
+  };
+
+  function normalizeLanguageCode(code) {
+    let base = code.toLowerCase();
+    if (base.includes('-')) {
+      base = base.split('-')[0];
+    }
+    return LEGACY_LANGUAGE_CODES[base] || base;
+  }
+
+  return {
+    DETECTOR_VERSION,
+    SAMPLE_LENGTH,
+    DEFAULT_THRESHOLDS,
+    URL_REGEX,
+    normalizeText,
+    normalizeLanguageCode,
+    heuristicDetect,
+    validateChromeResult,
+    describeScripts,
+    detect
+  };
+});
@@ -0,0 +1,128 @@
+// YouTube Language Filter - Language Catalog
+// Every language chrome.i18n.detectLanguage (CLD) can report, with the codes
+// the content script uses after normalizeLanguageCode (base code, "he" not "iw").
+// Loaded as a plain script by the popup and the options page.
+
+// { code, name: English name, native: name in the language itself }
+const LANGUAGES = [
+  { code: 'af', name: 'Afrikaans', native: 'Afrikaans' },
+  { code: 'am', name: 'Amharic', native: 'አማርኛ' },
+  { code: 'ar', name: 'Arabic', native: 'العربية' },
+  { code: 'bg', name: 'Bulgarian', native: 'български' },
+  { code: 'bn', name: 'Bengali', native: 'বাংলা' },
+  { code: 'bs', name: 'Bosnian', native: 'bosanski' },
+  { code: 'ca', name: 'Catalan', native: 'català' },
+  { code: 'ceb', name: 'Cebuano', native: 'Cebuano' },
+  { code: 'co', name: 'Corsican', native: 'corsu' },
+  { code: 'cs', name: 'Czech', native: 'čeština' },
+  { code: 'cy', name: 'Welsh', native: 'Cymraeg' },
+  { code: 'da', name: 'Danish', native: 'dansk' },
+  { code: 'de', name: 'German', native: 'Deutsch' },
+  { code: 'el', name: 'Greek', native: 'Ελληνικά' },
+  { code: 'en', name: 'English', native: 'English' },
+  { code: 'eo', name: 'Esperanto', native: 'esperanto' },
+  { code: 'es', name: 'Spanish', native: 'español' },
+  { code: 'et', name: 'Estonian', native: 'eesti' },
+  { code: 'eu', name: 'Basque', native: 'euskara' },
+  { code: 'fa', name: 'Persian', native: 'فارسی' },
+  { code: 'fi', name: 'Finnish', native: 'suomi' },
+  { code: 'fil', name: 'Filipino', native: 'Filipino' },
+  { code: 'fr', name: 'French', native: 'français' },
+  { code: 'fy', name: 'Western Frisian', native: 'Frysk' },
+  { code: 'ga', name: 'Irish', native: 'Gaeilge' },
+  { code: 'gd', name: 'Scottish Gaelic', native: 'Gàidhlig' },
+  { code: 'gl', name: 'Galician', native: 'galego' },
+  { code: 'gu', name: 'Gujarati', native: 'ગુજરાતી' },
+  { code: 'ha', name: 'Hausa', native: 'Hausa' },
+  { code: 'haw', name: 'Hawaiian', native: 'ʻŌlelo Hawaiʻi' },
+  { code: 'he', name: 'Hebrew', native: 'עברית' },
+  { code: 'hi', name: 'Hindi', native: 'हिन्दी' },
+  { code: 'hmn', name: 'Hmong', native: 'Hmoob' },
+  { code: 'hr', name: 'Croatian', native: 'hrvatski' },
+  { code: 'ht', name: 'Haitian Creole', native: 'Kreyòl ayisyen' },
+  { code: 'hu', name: 'Hungarian', native: 'magyar' },
+  { code: 'hy', name: 'Armenian', native: 'հայերեն' },
+  { code: 'id', name: 'Indonesian', native: 'Bahasa Indonesia' },
+  { code: 'ig', name: 'Igbo', native: 'Igbo' },
+  { code: 'is', name: 'Icelandic', native: 'íslenska' },
+  { code: 'it', name: 'Italian', native: 'italiano' },
+  { code: 'ja', name: 'Japanese', native: '日本語' },
+  { code: 'jv', name: 'Javanese', native: 'Basa Jawa' },
+  { code: 'ka', name: 'Georgian', native: 'ქართული' },
+  { code: 'kk', name: 'Kazakh', native: 'қазақ тілі' },
+  { code: 'km', name: 'Khmer', native: 'ខ្មែរ' },
+  { code: 'kn', name: 'Kannada', native: 'ಕನ್ನಡ' },
+  { code: 'ko', name: 'Korean', native: '한국어' },
+  { code: 'ku', name: 'Kurdish', native: 'Kurdî' },
+  { code: 'ky', name: 'Kyrgyz', native: 'кыргызча' },
+  { code: 'la', name: 'Latin', native: 'Latina' },
+  { code: 'lb', name: 'Luxembourgish', native: 'Lëtzebuergesch' },
+  { code: 'lo', name: 'Lao', native: 'ລາວ' },
+  { code: 'lt', name: 'Lithuanian', native: 'lietuvių' },
+  { code: 'lv', name: 'Latvian', native: 'latviešu' },
+  { code: 'mg', name: 'Malagasy', native: 'Malagasy' },
+  { code: 'mi', name: 'Māori', native: 'Māori' },
+  { code: 'mk', name: 'Macedonian', native: 'македонски' },
+  { code: 'ml', name: 'Malayalam', native: 'മലയാളം' },
+  { code: 'mn', name: 'Mongolian', native: 'монгол' },
+  { code: 'mr', name: 'Marathi', native: 'मराठी' },
+  { code: 'ms', name: 'Malay', native: 'Bahasa Melayu' },
+  { code: 'mt', name: 'Maltese', native: 'Malti' },
+  { code: 'my', name: 'Burmese', native: 'မြန်မာ' },
+  { code: 'ne', name: 'Nepali', native: 'नेपाली' },
+  { code: 'nl', name: 'Dutch', native: 'Nederlands' },
+  { code: 'no', name: 'Norwegian', native: 'norsk' },
+  { code: 'ny', name: 'Chichewa', native: 'Chichewa' },
+  { code: 'pa', name: 'Punjabi', native: 'ਪੰਜਾਬੀ' },
+  { code: 'pl', name: 'Polish', native: 'polski' },
+  { code: 'ps', name: 'Pashto', native: 'پښتو' },
+  { code: 'pt', name: 'Portuguese', native: 'português' },
+  { code: 'ro', name: 'Romanian', native: 'română' },
+  { code: 'ru', name: 'Russian', native: 'русский' },
+  { code: 'sd', name: 'Sindhi', native: 'سنڌي' },
+  { code: 'si', name: 'Sinhala', native: 'සිංහල' },
+  { code: 'sk', name: 'Slovak', native: 'slovenčina' },
+  { code: 'sl', name: 'Slovenian', native: 'slovenščina' },
+  { code: 'sm', name: 'Samoan', native: 'Gagana Samoa' },
+  { code: 'sn', name: 'Shona', native: 'chiShona' },
+  { code: 'so', name: 'Somali', native: 'Soomaali' },
+  { code: 'sq', name: 'Albanian', native: 'shqip' },
+  { code: 'sr', name: 'Serbian', native: 'српски' },
+  { code: 'st', name: 'Southern Sotho', native: 'Sesotho' },
+  { code: 'su', name: 'Sundanese', native: 'Basa Sunda' },
+  { code: 'sv', name: 'Swedish', native: 'svenska' },
+  { code: 'sw', name: 'Swahili', native: 'Kiswahili' },
+  { code: 'ta', name: 'Tamil', native: 'தமிழ்' },
+  { code: 'te', name: 'Telugu', native: 'తెలుగు' },
+  { code: 'tg', name: 'Tajik', native: 'тоҷикӣ' },
+  { code: 'th', name: 'Thai', native: 'ไทย' },
+  { code: 'tr', name: 'Turkish', native: 'Türkçe' },
+  { code: 'uk', name: 'Ukrainian', native: 'українська' },
+  { code: 'ur', name: 'Urdu', native: 'اردو' },
+  { code: 'uz', name: 'Uzbek', native: 'oʻzbek' },
+  { code: 'vi', name: 'Vietnamese', native: 'Tiếng Việt' },
+  { code: 'xh', name: 'Xhosa', native: 'isiXhosa' },
+  { code: 'yi', name: 'Yiddish', native: 'ייִדיש' },
+  { code: 'yo', name: 'Yoruba', native: 'Yorùbá' },
+  { code: 'zh', name: 'Chinese', native: '中文' },
+  { code: 'zu', name: 'Zulu', native: 'isiZulu' }
+];
+
+// Groups the options page can allow or remove in one click
+const LANGUAGE_GROUPS = [
+  { id: 'cjk', name: 'CJK', langs: ['zh', 'ja', 'ko'] },
+  { id: 'cyrillic', name: 'Cyrillic script', langs: ['ru', 'uk', 'bg', 'sr', 'mk', 'kk', 'ky', 'mn', 'tg'] },
+  { id: 'arabic', name: 'Arabic script', langs: ['ar', 'fa', 'ur', 'ps', 'sd'] },
+  { id: 'indic', name: 'Indic', langs: ['hi', 'bn', 'gu', 'pa', 'mr', 'ne', 'ta', 'te', 'kn', 'ml', 'si'] },
+  { id: 'southeast-asian', name: 'Southeast Asian', langs: ['th', 'vi', 'id', 'ms', 'fil', 'km', 'lo', 'my', 'jv', 'su', 'ceb'] },
+  { id: 'romance', name: 'Romance', langs: ['es', 'fr', 'pt', 'it', 'ro', 'ca', 'gl', 'co'] },
+  { id: 'germanic', name: 'Germanic', langs: ['en', 'de', 'nl', 'sv', 'no', 'da', 'is', 'af', 'fy', 'lb'] },
+  { id: 'slavic-latin', name: 'Slavic (Latin script)', langs: ['pl', 'cs', 'sk', 'sl', 'hr', 'bs'] }
+];
+
+// Shown in the popup when no favorites are pinned
+const QUICK_SELECT_LANGS = ['en', 'ko', 'ja', 'zh', 'es', 'fr', 'de', 'pt'];
+
+function getLanguage(code) {
+  return LANGUAGES.find(lang => lang.code === code) || { code, name: code, native: code };
+}
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+// YouTube Language Filter - Detector Evaluation
+// Runs the detection engine (shared/detector.js) over a labeled corpus and
+// reports per-language precision/recall and a confusion matrix, so detection
+// changes can be judged by numbers.
+//
+// Usage: node tools/evaluate-detector.js [corpus.jsonl] [options]
+//   --adapter <file>     Module exporting detectLanguage(sample) with the same
+//                        contract as the Chrome adapter (e.g. a CLD binding or
+//                        recorded chrome.i18n results). Without it, comments the
+//                        heuristic leaves to Chrome are reported as undecided
+//                        and left out of the metrics.
+//   --script-ratio <n>   Threshold overrides (see DEFAULT_THRESHOLDS)
+//   --chrome-min <n>
+//   --chrome-high <n>
+//   --errors             List every misclassified and undecided comment
+//   --json               Print the report as JSON
+//
+// Corpus lines are JSON objects: { "lang": "ko", "text": "..." }. Use
+// "unknown" for comments without language (emoji, timestamps).
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const detector = require('../shared/detector.js');
+
+const DEFAULT_CORPUS = path.join(__dirname, 'corpus', 'comments.jsonl');
+
+const THRESHOLD_FLAGS = {
+  '--script-ratio': 'scriptRatio',
+  '--chrome-min': 'chromeMinPercent',
+  '--chrome-high': 'chromeHighPercent'
+};
+
+function parseArgs(argv) {
+  const options = { corpus: DEFAULT_CORPUS, adapter: null, thresholds: {}, errors: false, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--adapter') {
+      options.adapter = path.resolve(argv[++i]);
+    } else if (THRESHOLD_FLAGS[arg]) {
+      const value = Number(argv[++i]);
+      if (!Number.isFinite(value)) throw new Error(`${arg} needs a number`);
+      options.thresholds[THRESHOLD_FLAGS[arg]] = value;
+    } else if (arg === '--errors') {
+      options.errors = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.corpus = path.resolve(arg);
+    }
+  }
+
+  return options;
+}
+
+function loadCorpus(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, number }) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${path.basename(file)}:${number}: invalid JSON`);
+      }
+      if (typeof entry.lang !== 'string' || typeof entry.text !== 'string') {
+        throw new Error(`${path.basename(file)}:${number}: needs "lang" and "text" strings`);
+      }
+      return { lang: entry.lang, text: entry.text, line: number };
+    });
+}
+
+async function runCorpus(corpus, options) {
+  const adapter = options.adapter ? require(options.adapter) : null;
+  const detectLanguage = adapter ? sample => adapter.detectLanguage(sample) : null;
+
+  const results = [];
+  for (const entry of corpus) {
+    const normalized = detector.normalizeText(entry.text);
+    const { result, complete } = await detector.detect(normalized, {
+      thresholds: options.thresholds,
+      detectLanguage
+    });
+    // Left to Chrome but no answer (no adapter, or the adapter failed)
+    const source = complete ? result.source : 'undecided';
+    results.push({ ...entry, predicted: result.lang, confidence: result.confidence, source });
+  }
+  return results;
+}
+
+// ===========================================
+// METRICS
+// ===========================================
+
+function ratio(numerator, denominator) {
+  return denominator === 0 ? null : numerator / denominator;
+}
+
+/**
+ * Per-language precision, recall and F1 ('unknown' is a class of its own),
+ * plus a confusion matrix: matrix[expected][predicted] = count. Undecided
+ * comments (left to Chrome without an answer) are only counted, not scored.
+ */
+function buildReport(allResults) {
+  const results = allResults.filter(r => r.source !== 'undecided');
+  const expectedLangs = [...new Set(results.map(r => r.lang))].sort();
+  const predictedLangs = [...new Set(results.map(r => r.predicted))].sort();
+  const labels = [...new Set([...expectedLangs, ...predictedLangs])].sort();
+
+  const matrix = {};
+  expectedLangs.forEach(expected => {
+    matrix[expected] = {};
+    labels.forEach(predicted => {
+      matrix[expected][predicted] = 0;
+    });
+  });
+  results.forEach(r => {
+    matrix[r.lang][r.predicted]++;
+  });
+
+  const languages = labels.map(lang => {
+    const truePositives = (matrix[lang] && matrix[lang][lang]) || 0;
+    const support = results.filter(r => r.lang === lang).length;
+    const predicted = results.filter(r => r.predicted === lang).length;
+    const precision = ratio(truePositives, predicted);
+    const recall = ratio(truePositives, support);
+    const f1 = precision === null || recall === null || precision + recall === 0
+      ? null
+      : 2 * precision * recall / (precision + recall);
+    return { lang, support, predicted, precision, recall, f1 };
+  });
+
+  const correct = results.filter(r => r.predicted === r.lang).length;
+  const scored = languages.filter(l => l.support > 0 && l.f1 !== null);
+
+  return {
+    total: allResults.length,
+    decided: results.length,
+    accuracy: ratio(correct, results.length),
+    coverage: ratio(results.filter(r => r.predicted !== 'unknown').length, allResults.length),
+    macroF1: ratio(scored.reduce((sum, l) => sum + l.f1, 0), languages.filter(l => l.support > 0).length),
+    bySource: countBy(allResults, r => r.source),
+    languages,
+    labels,
+    matrix,
+    errors: results.filter(r => r.predicted !== r.lang),
+    undecided: allResults.filter(r => r.source === 'undecided')
+  };
+}
+
+function countBy(items, keyOf) {
+  const counts = {};
+  items.forEach(item => {
+    const key = keyOf(item);
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+}
+
+// ===========================================
+// OUTPUT
+// ===========================================
+
+function percent(value) {
+  return value === null ? '—' : (value * 100).toFixed(1) + '%';
+}
+
+function pad(value, width, alignRight = true) {
+  const text = String(value);
+  return alignRight ? text.padStart(width) : text.padEnd(width);
+}
+
+function printReport(report, options) {
+  const mode = options.adapter ? `adapter ${path.basename(options.adapter)}` : 'heuristic only';
+  console.log(`Detector v${detector.DETECTOR_VERSION} (${mode}) - ${report.total} comments, ${report.decided} decided`);
+  console.log(`Accuracy ${percent(report.accuracy)} · coverage ${percent(report.coverage)} · macro F1 ${percent(report.macroF1)}`);
+  console.log('Decided by: ' + Object.entries(report.bySource).map(([source, n]) => `${source} ${n}`).join(', '));
+  console.log('');
+
+  console.log(`${pad('lang', 8, false)}${pad('support', 9)}${pad('precision', 11)}${pad('recall', 9)}${pad('F1', 9)}`);
+  report.languages.forEach(l => {
+    console.log(`${pad(l.lang, 8, false)}${pad(l.support, 9)}${pad(percent(l.precision), 11)}` +
+      `${pad(percent(l.recall), 9)}${pad(percent(l.f1), 9)}`);
+  });
+  console.log('');
+
+  // Rows: expected language, columns: predicted language ('?' = unknown)
+  const shortLabel = label => label === 'unknown' ? '?' : label;
+  const width = Math.max(3, ...report.labels.map(label => shortLabel(label).length)) + 1;
+  console.log('Confusion matrix (rows: expected, columns: predicted)');
+  console.log(pad('', width, false) + report.labels.map(label => pad(shortLabel(label), width)).join(''));
+  Object.entries(report.matrix).forEach(([expected, row]) => {
+    const cells = report.labels.map(label => pad(row[label] || '.', width));
+    console.log(pad(shortLabel(expected), width, false) + cells.join(''));
+  });
+
+  if (options.errors && report.errors.length > 0) {
+    console.log('');
+    console.log('Misclassified');
+    report.errors.forEach(e => {
+      console.log(`  line ${e.line}: expected ${e.lang}, got ${e.predicted} (${e.confidence}, ${e.source}): ${e.text}`);
+    });
+  }
+
+  if (options.errors && report.undecided.length > 0) {
+    console.log('');
+    console.log('Undecided (left to Chrome)');
+    report.undecided.forEach(u => {
+      console.log(`  line ${u.line}: expected ${u.lang}: ${u.text}`);
+    });
+  }
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+    return;
+  }
+
+  const corpus = loadCorpus(options.corpus);
+  const results = await runCorpus(corpus, options);
+  const report = buildReport(results);
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, options);
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});